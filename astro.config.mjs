@@ -1,11 +1,59 @@
 // @ts-check
 import { defineConfig } from 'astro/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+import { loadPrivacyZones, trimGpx } from './src/utils/privacy.js';
+import { TRACK_EXTENSIONS } from './src/utils/track-import.js';
+
+// public/gpx is copied to the site as-is; trim the published copies to the
+// privacy zones like the route JSON built from them. Other track formats can't
+// be rewritten here, so with zones set their copies are left out.
+/** @returns {import('astro').AstroIntegration} */
+function trimPublishedGpx() {
+  return {
+    name: 'trim-published-gpx',
+    hooks: {
+      'astro:build:done': async ({ dir, logger }) => {
+        const zones = loadPrivacyZones();
+        if (zones.length === 0) return;
+        const gpxDir = path.join(fileURLToPath(dir), 'gpx');
+
+        const entries = await fs.readdir(gpxDir).catch(error => {
+          if (error.code === 'ENOENT') return [];
+          throw error;
+        });
+
+        for (const entry of entries) {
+          const gpxPath = path.join(gpxDir, entry);
+          const extension = path.extname(entry).toLowerCase();
+          if (extension !== '.gpx') {
+            if (TRACK_EXTENSIONS.includes(extension)) {
+              await fs.rm(gpxPath);
+              logger.info(`Left ${entry} out of the site: only GPX can be trimmed to the privacy zones`);
+            }
+            continue;
+          }
+
+          const gpxText = await fs.readFile(gpxPath, 'utf8');
+          const trimmed = trimGpx(gpxText, zones, { DOMParser, XMLSerializer });
+          if (trimmed !== gpxText) {
+            await fs.writeFile(gpxPath, trimmed);
+            logger.info(`Trimmed ${entry} to the privacy zones`);
+          }
+        }
+      }
+    }
+  };
+}
 
 // https://astro.build/config
 export default defineConfig({
   site: process.env.CI ? 'https://ccc.sharpers.com' : undefined,
   output: 'static',
   trailingSlash: 'ignore',
+  integrations: [trimPublishedGpx()],
   server: {
     // Uncomment for local HTTPS development
     // https: true
@@ -2,70 +2,402 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import os from 'os';
 import sharp from 'sharp';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
 import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
 import crypto from 'crypto';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { DOMParser } from '@xmldom/xmldom';
+import { getTrip, getDay, getDayManifestPath, getDayOverridesPath } from '../src/data/trips.js';
+import { interpolatePosition } from '../src/utils/gpx.js';
+import { readTrackFile } from '../src/utils/track-import.js';
+import { readVideoMetadata, VIDEO_MIME_TYPES } from '../src/utils/video.js';
+import { clusterPhotos, DEFAULT_GROUPING } from '../src/utils/photos.js';
+import { findPrivacyZone, loadPrivacyZones, parsePrivacyZones, protectPosition } from '../src/utils/privacy.js';
+import { createStorage } from './storage.js';
+import { createGeocoder } from './geocoding.js';
+import { applyOverrides, loadOverrides } from './overrides.js';
+import { PROCESSING_VERSION, createEmptyManifest, migrateManifest, needsMigration, validateManifest } from './manifest.js';
+
+const execFileAsync = promisify(execFile);
+
+// Encodings produced for every image derivative
+const DERIVATIVE_FORMATS = [
+  { key: 'avif', extension: 'avif', contentType: 'image/avif', encode: (pipeline, options) => pipeline.avif({ quality: options.avifQuality || 50 }) },
+  { key: 'webp', extension: 'webp', contentType: 'image/webp', encode: (pipeline, options) => pipeline.webp({ quality: options.quality }) },
+  { key: 'jpeg', extension: 'jpg', contentType: 'image/jpeg', encode: (pipeline, options) => pipeline.jpeg({ quality: options.quality, mozjpeg: true }) }
+];
+
+// Still images the pipeline reads; HEIC/HEIF may need converting first (see
+// convertHeif)
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.heic', '.heif'];
+const HEIF_EXTENSIONS = ['.heic', '.heif'];
+
+// Camera RAW files, only kept as companions of a still with the same name
+const RAW_EXTENSIONS = ['.dng', '.cr2', '.cr3', '.nef', '.arw', '.raf', '.orf', '.rw2', '.pef', '.srw'];
+
+// The prebuilt sharp binaries decode AVIF but not HEVC-coded HEIC; a sharp
+// using a system libvips with libde265 lists .heic here
+const SHARP_READS_HEIC = sharp.format.heif.input.fileSuffix.includes('.heic');
+
+// Commands converting a HEIC/HEIF file to PNG, by `heic.converters` name
+const HEIF_CONVERTERS = {
+  'heif-dec': (input, output) => ['heif-dec', [input, output]],
+  'heif-convert': (input, output) => ['heif-convert', [input, output]],
+  sips: (input, output) => ['sips', ['-s', 'format', 'png', input, '--out', output]],
+  magick: (input, output) => ['magick', [input, output]]
+};
+
+// EXIF copied from originals into derivatives, by `privacy.exif.keep` group:
+// [tag as read by exifr, IFD, tag as written]. GPS tags and serial numbers are
+// never copied; orientation is applied to the pixels instead.
+const EXIF_GROUPS = {
+  time: [
+    ['ModifyDate', 'IFD0', 'DateTime'],
+    ['DateTimeOriginal', 'IFD2', 'DateTimeOriginal'],
+    ['CreateDate', 'IFD2', 'DateTimeDigitized'],
+    ['OffsetTime', 'IFD2', 'OffsetTime'],
+    ['OffsetTimeOriginal', 'IFD2', 'OffsetTimeOriginal'],
+    ['OffsetTimeDigitized', 'IFD2', 'OffsetTimeDigitized'],
+    ['SubSecTimeOriginal', 'IFD2', 'SubSecTimeOriginal']
+  ],
+  camera: [
+    ['Make', 'IFD0', 'Make'],
+    ['Model', 'IFD0', 'Model'],
+    ['LensMake', 'IFD2', 'LensMake'],
+    ['LensModel', 'IFD2', 'LensModel']
+  ],
+  copyright: [
+    ['Artist', 'IFD0', 'Artist'],
+    ['Copyright', 'IFD0', 'Copyright']
+  ]
+};
 
 const require = createRequire(import.meta.url);
-// Allow config to be specified via command line argument
-const configFile = process.argv[2] || '../config.json';
-const config = require(configFile);
 
-class PhotoProcessor {
-  constructor() {
+// Run `worker` over `items` with at most `concurrency` running at once
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Folds companion files into the still they belong to: a RAW file, or a Live
+// Photo's .mov, next to a still image with the same name (in any case).
+// Returns the files to process, the companions of each as { kind, path }
+// keyed by the still's path, and RAW files that have no still.
+export function pairCompanions(files) {
+  const baseKey = file => path.join(path.dirname(file), path.parse(file).name).toLowerCase();
+  const stills = new Map();
+  for (const file of files) {
+    const key = baseKey(file);
+    if (IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()) && !stills.has(key)) {
+      stills.set(key, file);
+    }
+  }
+
+  const primaries = [];
+  const companions = new Map();
+  const unpaired = [];
+  for (const file of files) {
+    const extension = path.extname(file).toLowerCase();
+    const kind = RAW_EXTENSIONS.includes(extension) ? 'raw' : extension === '.mov' ? 'live' : null;
+    const still = kind && stills.get(baseKey(file));
+
+    if (still) {
+      companions.set(still, [...(companions.get(still) || []), { kind, path: file }]);
+    } else if (kind === 'raw') {
+      unpaired.push(file);
+    } else {
+      primaries.push(file);
+    }
+  }
+  return { files: primaries, companions, unpaired };
+}
+
+// Descriptions some cameras write into every photo
+const PLACEHOLDER_DESCRIPTIONS = /^(OLYMPUS DIGITAL CAMERA|SONY DSC|DIGITAL CAMERA|DCIM\S*|default)$/i;
+
+// A text tag as exifr returns it: a string, an XMP language alternative
+// ({ lang, value }) or a list of either. Lists are joined (several creators).
+function tagText(value) {
+  if (Array.isArray(value)) {
+    return value.map(tagText).filter(Boolean).join(', ') || undefined;
+  }
+  if (value && typeof value === 'object') return tagText(value.value);
+  if (typeof value !== 'string') return undefined;
+
+  // exifr leaves XML entities in XMP text
+  const text = value
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+    .replace(/\0/g, '')
+    .trim();
+  return text && !PLACEHOLDER_DESCRIPTIONS.test(text) ? text : undefined;
+}
+
+function withoutEmpty(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+// The caption, credit and alt text embedded in a photo (XMP, then IPTC, then
+// EXIF) and its camera settings, from exifr's parsed tags. Empty fields are
+// left out.
+export function describePhotoTags(tags = {}) {
+  const number = value => (typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : undefined);
+
+  return {
+    embedded: withoutEmpty({
+      caption: tagText(tags.description) ?? tagText(tags.Caption) ?? tagText(tags.ImageDescription),
+      credit: tagText(tags.creator) ?? tagText(tags.Byline) ?? tagText(tags.Artist),
+      alt: tagText(tags.AltTextAccessibility)
+    }),
+    camera: withoutEmpty({
+      make: tagText(tags.Make),
+      model: tagText(tags.Model),
+      lens: tagText(tags.LensModel),
+      focalLength: number(tags.FocalLength),
+      fNumber: number(tags.FNumber),
+      exposureTime: number(tags.ExposureTime),
+      iso: number(Array.isArray(tags.ISO) ? tags.ISO[0] : tags.ISO)
+    })
+  };
+}
+
+// Who took a photo: the subfolder of the day's sourceDir it is in (one per
+// rider), else its credit (EXIF Artist, ...), else its camera model. `aliases`
+// maps any of these to a display name, e.g. { "iPhone 15 Pro": "Alex" }.
+export function contributorOf(photo, aliases = {}) {
+  const folder = photo.originalName.includes('/') ? photo.originalName.split('/')[0] : null;
+  const name = folder || photo.credit || photo.camera?.model || null;
+  return name && Object.hasOwn(aliases, name) ? aliases[name] : name;
+}
+
+// Config paths are resolved relative to this directory
+export function loadConfig(configFile = '../config.json') {
+  return require(configFile);
+}
+
+export class PhotoProcessor {
+  constructor(config) {
     this.config = config;
-    this.s3Client = new S3Client({
-      region: 'auto',
-      endpoint: `https://${this.config.cloudflare.accountId}.r2.cloudflarestorage.com`,
-      credentials: {
-        accessKeyId: this.config.cloudflare.accessKeyId,
-        secretAccessKey: this.config.cloudflare.secretAccessKey,
-      },
-    });
-    this.manifest = {
-      photos: [],
-      groups: [],
-      lastUpdated: new Date().toISOString(),
-      version: 1
-    };
+    this.storage = createStorage(this.config);
+    this.geocoder = createGeocoder(this.config);
+    // `privacy.zones` in the config, else the shared privacy-zones.json
+    this.privacyZones = this.config.privacy?.zones
+      ? parsePrivacyZones(this.config.privacy.zones, 'privacy.zones')
+      : loadPrivacyZones(this.config.privacy?.zonesFile);
+    this.config.photos.manifestPath = this.resolveManifestPath();
+    this.config.photos.overridesPath = this.resolveOverridesPath();
+    this.trackPoints = null;
+    this.manifest = createEmptyManifest();
+    // Ids given to new photos this run, by file name (see newPhotoId)
+    this.claimedIds = new Map();
+    // The last queued manifest write (see writeManifest)
+    this.manifestWrites = Promise.resolve();
+  }
+
+  // The trip and day named in the config, if any
+  resolveTripDay() {
+    if (!this.config.trip || !this.config.day) return null;
+
+    const trip = getTrip(this.config.trip);
+    const day = trip && getDay(trip, this.config.day);
+    if (!day) {
+      throw new Error(`Unknown trip day: ${this.config.trip} day ${this.config.day}`);
+    }
+    return { trip, day };
+  }
+
+  resolveManifestPath() {
+    // Configs naming a trip and day write the manifest defined in src/data/trips.js
+    const tripDay = this.resolveTripDay();
+    if (tripDay) {
+      return path.join('public', getDayManifestPath(tripDay.trip, tripDay.day));
+    }
+
+    return this.config.photos.manifestPath;
+  }
+
+  // Curation edits: `photos.overridesPath`, the trip day's file, or
+  // <manifest>.overrides.json next to a manifest named in the config
+  resolveOverridesPath() {
+    if (this.config.photos.overridesPath) return this.config.photos.overridesPath;
+
+    const tripDay = this.resolveTripDay();
+    if (tripDay) return getDayOverridesPath(tripDay.trip, tripDay.day);
+
+    return this.config.photos.manifestPath.replace(/\.json$/, '') + '.overrides.json';
+  }
+
+  // Track file (GPX, TCX, FIT or GeoJSON) used to geotag photos without GPS:
+  // `photos.gpxFile`, or the trip day's track
+  resolveGpxPath() {
+    if (this.config.photos.gpxFile) return this.config.photos.gpxFile;
+
+    const tripDay = this.resolveTripDay();
+    return tripDay?.day.gpxFile ? path.join('public', tripDay.day.gpxFile) : null;
+  }
+
+  async loadTrack() {
+    const gpxPath = this.resolveGpxPath();
+    if (!gpxPath) return;
+
+    try {
+      const data = await fs.readFile(gpxPath);
+      this.trackPoints = readTrackFile(gpxPath, data, { DOMParser }).flatMap(track => track.trackPoints);
+      console.log(`Loaded ${this.trackPoints.length} track points from ${gpxPath} for geotagging`);
+    } catch (error) {
+      console.warn(`Could not load track ${gpxPath}:`, error.message);
+    }
+  }
+
+  // Fill in positions for photos without GPS by interpolating the day's track
+  // at the photo time. `geotag.clockOffsetSeconds` is added to camera times to
+  // correct a camera clock; `geotag.maxGapSeconds` limits how far a photo may be
+  // from a track point in time. Interpolated positions are recomputed on every
+  // run so changing the offset takes effect without re-processing.
+  geotagFromTrack(photos) {
+    const { clockOffsetSeconds = 0, maxGapSeconds = 300 } = this.config.geotag || {};
+    let geotagged = 0;
+
+    for (const photo of photos) {
+      if (!photo.processed || photo.error) continue;
+
+      if (photo.lat != null && photo.lng != null && photo.positionSource !== 'gpx-interpolated') {
+        photo.positionSource = photo.positionSource || 'exif';
+        continue;
+      }
+
+      photo.lat = null;
+      photo.lng = null;
+      photo.positionSource = null;
+
+      if (!this.trackPoints || !photo.timestamp) continue;
+
+      const cameraTime = new Date(photo.timestamp).getTime() + clockOffsetSeconds * 1000;
+      const position = interpolatePosition(this.trackPoints, cameraTime, maxGapSeconds);
+      if (position) {
+        photo.lat = position.lat;
+        photo.lng = position.lng;
+        photo.positionSource = 'gpx-interpolated';
+        geotagged++;
+      }
+    }
+
+    if (geotagged > 0) {
+      console.log(`📍 Geotagged ${geotagged} photos from the GPX track`);
+    }
+  }
+
+  // Photos protected by a privacy zone or placed by hand on an earlier run get
+  // their own position back (from the source file, or from the track on the
+  // next geotagFromTrack), so zones and manual positions can change without
+  // re-processing
+  async restoreOriginalPositions(photos, filesByName) {
+    for (const photo of photos) {
+      let source = photo.privacy?.source ?? photo.positionSource;
+      if (!photo.privacy && source !== 'manual') continue;
+      if (source === 'manual') source = photo.type === 'video' ? 'metadata' : 'exif';
+
+      const filePath = filesByName.get(photo.originalName);
+      let position = null;
+      if (source === 'exif') {
+        const gpsData = await this.extractGPSData(filePath);
+        position = gpsData?.latitude != null ? { lat: gpsData.latitude, lng: gpsData.longitude } : null;
+      } else if (source === 'metadata') {
+        position = (await readVideoMetadata(filePath).catch(() => null))?.location ?? null;
+      }
+
+      delete photo.privacy;
+      photo.lat = position?.lat ?? null;
+      photo.lng = position?.lng ?? null;
+      photo.positionSource = position ? source : null;
+    }
+  }
+
+  // Hide or fuzz positions inside a privacy zone, recording what was done and
+  // where the real position came from in `photo.privacy`. Returns how many
+  // photos were hidden and fuzzed.
+  applyPrivacyZones(photos) {
+    const counts = { hidden: 0, fuzzed: 0 };
+    if (this.privacyZones.length === 0) return counts;
+
+    for (const photo of photos) {
+      if (photo.privacy || photo.lat === null || photo.lat === undefined) continue;
+
+      const protectedPosition = protectPosition(photo.lat, photo.lng, this.privacyZones);
+      if (!protectedPosition) continue;
+
+      const { zone, lat, lng } = protectedPosition;
+      photo.privacy = { action: zone.action, source: photo.positionSource || 'exif' };
+      photo.lat = lat;
+      photo.lng = lng;
+      if (zone.action === 'hide') {
+        photo.positionSource = null;
+        counts.hidden++;
+      } else {
+        counts.fuzzed++;
+      }
+    }
+    return counts;
+  }
+
+  // Whether a video was uploaded with its metadata (see stripVideoMetadata)
+  // while its own location is inside a privacy zone. processPhoto re-processes
+  // these; run fails if any are left.
+  leaksLocation(photo) {
+    if (photo.type !== 'video' || photo.metadataStripped || this.privacyZones.length === 0) return false;
+    if (photo.privacy) return photo.privacy.source === 'metadata';
+    return photo.positionSource === 'metadata' && findPrivacyZone(photo.lat, photo.lng, this.privacyZones) !== null;
   }
 
   async loadExistingManifest() {
     try {
       const manifestContent = await fs.readFile(this.config.photos.manifestPath, 'utf8');
-      this.manifest = JSON.parse(manifestContent);
+      const manifest = JSON.parse(manifestContent);
+      if (needsMigration(manifest)) {
+        console.log(`Migrating manifest from schema v${manifest.schemaVersion || 1}`);
+      }
+      this.manifest = migrateManifest(manifest);
       console.log(`Loaded existing manifest with ${this.manifest.photos.length} photos`);
     } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
       console.log('No existing manifest found, creating new one');
-      this.manifest = {
-        photos: [],
-        groups: [],
-        lastUpdated: new Date().toISOString(),
-        version: 1
-      };
+      this.manifest = createEmptyManifest();
     }
   }
 
   async extractGPSData(imagePath) {
     try {
-      const metadata = await sharp(imagePath).metadata();
-
-      if (metadata.exif) {
-        // Parse EXIF data to extract GPS coordinates
-        const exifBuffer = metadata.exif;
-
-        // Use a more reliable EXIF parser
-        const exifr = await import('exifr');
-        const gpsData = await exifr.default.parse(imagePath, true);
-
-        if (gpsData && gpsData.latitude && gpsData.longitude) {
-          return {
-            latitude: gpsData.latitude,
-            longitude: gpsData.longitude,
-            timestamp: gpsData.DateTimeOriginal || gpsData.CreateDate || null
-          };
-        }
+      // exifr reads JPEG, PNG, WebP and HEIC, whether or not sharp can decode them
+      const exifr = await import('exifr');
+      const gpsData = await exifr.default.parse(imagePath, true);
+
+      if (gpsData && gpsData.latitude != null && gpsData.longitude != null) {
+        return {
+          latitude: gpsData.latitude,
+          longitude: gpsData.longitude,
+          timestamp: gpsData.DateTimeOriginal || gpsData.CreateDate || null
+        };
+      }
+
+      // Keep the capture time so the photo can be geotagged from the GPX track
+      if (gpsData && (gpsData.DateTimeOriginal || gpsData.CreateDate)) {
+        console.warn(`No GPS data found in ${path.basename(imagePath)}`);
+        return {
+          latitude: null,
+          longitude: null,
+          timestamp: gpsData.DateTimeOriginal || gpsData.CreateDate
+        };
       }
 
       console.warn(`No GPS data found in ${path.basename(imagePath)}`);
@@ -76,66 +408,206 @@ class PhotoProcessor {
     }
   }
 
-  async optimizeImage(inputPath, outputPath) {
+  // Caption, credit, alt text and camera settings; see describePhotoTags
+  async extractPhotoDetails(imagePath) {
     try {
-      const image = sharp(inputPath);
-      const metadata = await image.metadata();
-
-      let pipeline = image;
+      const exifr = await import('exifr');
+      const tags = await exifr.default.parse(imagePath, { xmp: true, iptc: true });
+      return describePhotoTags(tags || {});
+    } catch (error) {
+      console.warn(`Error reading photo details from ${path.basename(imagePath)}:`, error.message);
+      return describePhotoTags();
+    }
+  }
 
-      // Auto-rotate based on EXIF orientation to fix rotation issues
-      pipeline = pipeline.rotate();
+  // Derivative widths in px; `full` is capped at photos.maxWidth. Override with
+  // photos.derivatives, e.g. { "thumb": 400 }
+  getDerivativeSizes() {
+    return {
+      thumb: 320,
+      medium: 1024,
+      full: this.config.photos.maxWidth,
+      ...this.config.photos.derivatives
+    };
+  }
 
-      // Resize if image is too large
-      if (metadata.width > this.config.photos.maxWidth) {
-        pipeline = pipeline.resize(this.config.photos.maxWidth, null, {
-          withoutEnlargement: true
-        });
+  // The EXIF to write into derivatives, from the `privacy.exif.keep` groups
+  // (see EXIF_GROUPS), or null to strip it all (the default)
+  async readKeptExif(inputPath) {
+    const tags = (this.config.privacy?.exif?.keep || []).flatMap(group => {
+      if (group === 'orientation') return [];
+      if (!EXIF_GROUPS[group]) throw new Error(`Unknown privacy.exif.keep group: ${group}`);
+      return EXIF_GROUPS[group];
+    });
+    if (tags.length === 0) return null;
+
+    const exifr = await import('exifr');
+    const source = await exifr.default.parse(inputPath, { reviveValues: false }) || {};
+    const exif = {};
+    for (const [name, ifd, tag] of tags) {
+      if (typeof source[name] === 'string') {
+        exif[ifd] = { ...exif[ifd], [tag]: source[name] };
       }
+    }
+    return Object.keys(exif).length > 0 ? exif : null;
+  }
 
-      // Optimize based on format
-      if (metadata.format === 'jpeg') {
-        pipeline = pipeline.jpeg({ quality: this.config.photos.quality });
-      } else if (metadata.format === 'png') {
-        pipeline = pipeline.png({ quality: this.config.photos.quality });
-      } else if (metadata.format === 'webp') {
-        pipeline = pipeline.webp({ quality: this.config.photos.quality });
-      }
+  // Resize and encode every derivative size in every format (photos.formats,
+  // default AVIF + WebP; JPEG is always included as the fallback), upload them
+  // as `<keyBase>-<size>.<ext>` and return their URLs and dimensions keyed by
+  // size and format. `sourcePath` is the original when `inputPath` is a
+  // converted copy; `autoOrient` applies the EXIF orientation.
+  async createDerivatives(inputPath, fileName, keyBase, objects = null, { sourcePath = inputPath, autoOrient = true } = {}) {
+    const formats = this.config.photos.formats || ['avif', 'webp'];
+    const encoders = DERIVATIVE_FORMATS.filter(format => format.key === 'jpeg' || formats.includes(format.key));
+    const variants = {};
+    let optimizedSize = 0;
+    const exif = await this.readKeptExif(sourcePath);
+    // Per-photo temp dir so concurrent photos with the same base name don't collide
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'photo-'));
 
-      await pipeline.toFile(outputPath);
+    try {
+      for (const [size, width] of Object.entries(this.getDerivativeSizes())) {
+        // Auto-rotate based on EXIF orientation to fix rotation issues
+        let resized = autoOrient ? sharp(inputPath).rotate() : sharp(inputPath);
+        resized = resized.resize(width, null, { withoutEnlargement: true });
+        if (exif) resized = resized.withExif(exif);
+        variants[size] = {};
+
+        for (const format of encoders) {
+          const outputName = `${keyBase}-${size}.${format.extension}`;
+          const outputPath = path.join(tempDir, outputName);
+          const info = await format.encode(resized.clone(), this.config.photos).toFile(outputPath);
+
+          variants[size].width = info.width;
+          variants[size].height = info.height;
+          variants[size][format.key] = await this.uploadFile(outputPath, outputName, format.contentType, objects);
+          await fs.unlink(outputPath);
+
+          if (size === 'full' && format.key === 'jpeg') {
+            optimizedSize = info.size;
+          }
+        }
+      }
 
-      const inputStats = await fs.stat(inputPath);
-      const outputStats = await fs.stat(outputPath);
-      const compressionRatio = ((inputStats.size - outputStats.size) / inputStats.size * 100).toFixed(1);
+      const inputStats = await fs.stat(sourcePath);
+      const compressionRatio = ((inputStats.size - optimizedSize) / inputStats.size * 100).toFixed(1);
+      console.log(`Created ${Object.keys(variants).length} sizes × ${encoders.length} formats for ${fileName} - full JPEG ${compressionRatio}% smaller`);
 
-      console.log(`Optimized ${path.basename(inputPath)} - ${compressionRatio}% size reduction`);
-      return outputStats.size;
+      return { variants, optimizedSize };
     } catch (error) {
-      console.error(`Error optimizing ${path.basename(inputPath)}:`, error.message);
+      console.error(`Error creating derivatives for ${fileName}:`, error.message);
       throw error;
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  // Convert a HEIC/HEIF original to PNG with the first installed command in
+  // `heic.converters` (default: heif-dec, heif-convert, sips, magick). Custom
+  // converters are { "command": ..., "args": ["{input}", "{output}"] }. The
+  // converters apply the HEIF rotation themselves.
+  async convertHeif(inputPath, outputPath) {
+    const converters = this.config.heic?.converters || Object.keys(HEIF_CONVERTERS);
+
+    for (const converter of converters) {
+      if (typeof converter === 'string' && !HEIF_CONVERTERS[converter]) {
+        throw new Error(`Unknown HEIC converter: ${converter}`);
+      }
+      const [command, args] = typeof converter === 'string'
+        ? HEIF_CONVERTERS[converter](inputPath, outputPath)
+        : [converter.command, converter.args.map(arg => arg.replace('{input}', inputPath).replace('{output}', outputPath))];
+
+      try {
+        await execFileAsync(command, args);
+        return outputPath;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`${command} could not convert ${path.basename(inputPath)}: ${error.message}`);
+        }
+      }
     }
+    throw new Error(`No HEIC converter found for ${path.basename(inputPath)}; install libheif (heif-dec) or ImageMagick, or set heic.converters`);
   }
 
-  async uploadToCloudflare(filePath, fileName, contentType) {
+  // Grab a frame (1s in, or the first frame of very short clips) as a JPEG poster.
+  // Needs ffmpeg (`video.ffmpegPath`, default `ffmpeg` on the PATH); returns
+  // false if it is not available.
+  async createVideoPoster(videoPath, outputPath, duration) {
+    const ffmpeg = this.config.video?.ffmpegPath || 'ffmpeg';
+    const seekSeconds = duration && duration > 2 ? 1 : 0;
+
     try {
-      const fileBuffer = await fs.readFile(filePath);
-
-      const command = new PutObjectCommand({
-        Bucket: this.config.cloudflare.bucketName,
-        Key: `photos/${fileName}`,
-        Body: fileBuffer,
-        ContentType: contentType,
-        CacheControl: 'public, max-age=31536000', // Cache for 1 year
-      });
+      await execFileAsync(ffmpeg, [
+        '-y',
+        '-ss', String(seekSeconds),
+        '-i', videoPath,
+        '-frames:v', '1',
+        '-vf', `scale='min(${this.config.photos.maxWidth},iw)':-2`,
+        '-q:v', '3',
+        outputPath
+      ]);
+      return true;
+    } catch (error) {
+      const reason = error.code === 'ENOENT' ? `${ffmpeg} not found` : error.message;
+      console.warn(`Could not create poster for ${path.basename(videoPath)}: ${reason}`);
+      return false;
+    }
+  }
 
-      await this.s3Client.send(command);
+  // Copy a video without its metadata (location, device, the Apple metadata
+  // track) for privacy.exif.stripVideos or a privacy zone, keeping the
+  // creation time if privacy.exif.keep has "time". Needs ffmpeg; throws if it
+  // is not available so the original is never uploaded instead.
+  async stripVideoMetadata(videoPath, outputPath, creationTime) {
+    const ffmpeg = this.config.video?.ffmpegPath || 'ffmpeg';
+    const keepTime = creationTime && (this.config.privacy?.exif?.keep || []).includes('time');
 
-      const cloudflareUrl = `${this.config.cloudflare.bucketUrl}/photos/${fileName}`;
-      console.log(`Uploaded ${fileName} to Cloudflare R2`);
-      return cloudflareUrl;
+    try {
+      await execFileAsync(ffmpeg, [
+        '-y',
+        '-i', videoPath,
+        '-map', '0:v', '-map', '0:a?',
+        '-c', 'copy',
+        '-map_metadata', '-1',
+        '-map_chapters', '-1',
+        ...(keepTime ? ['-metadata', `creation_time=${new Date(creationTime).toISOString()}`] : []),
+        outputPath
+      ]);
+      return outputPath;
     } catch (error) {
-      console.error(`Error uploading ${fileName} to Cloudflare:`, error.message);
-      throw error;
+      const reason = error.code === 'ENOENT' ? `${ffmpeg} not found` : error.message;
+      throw new Error(`Could not strip video metadata: ${reason}`);
+    }
+  }
+
+  // Store a file as photos/<name> with the configured storage adapter. The key,
+  // size and MD5 (the ETag of a single-part upload) are appended to `objects`
+  // so `reconcile` can verify the stored copies later.
+  // Failed uploads are retried `processing.uploadRetries` times (default 3) with
+  // exponential backoff starting at one second.
+  async uploadFile(filePath, fileName, contentType, objects = null) {
+    const key = `photos/${fileName}`;
+    const retries = this.config.processing?.uploadRetries ?? 3;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const url = await this.storage.upload(filePath, key, contentType);
+        console.log(`Uploaded ${fileName} to ${this.storage.name}`);
+        if (objects) {
+          const contents = await fs.readFile(filePath);
+          objects.push({ key, size: contents.length, etag: this.generateFileHash(contents) });
+        }
+        return url;
+      } catch (error) {
+        if (attempt >= retries) {
+          console.error(`Error uploading ${fileName} to ${this.storage.name}:`, error.message);
+          throw error;
+        }
+        const delay = 1000 * 2 ** attempt;
+        console.warn(`Upload of ${fileName} failed (${error.message}), retrying in ${delay / 1000}s...`);
+        await sleep(delay);
+      }
     }
   }
 
@@ -143,58 +615,140 @@ class PhotoProcessor {
     return crypto.createHash('md5').update(buffer).digest('hex');
   }
 
-  async processPhoto(photoPath) {
-    const fileName = path.basename(photoPath);
+  // Decide whether a file needs processing. Files are matched to manifest
+  // entries by name, size and mtime first (no hashing needed), then by content
+  // hash, so:
+  //   - unchanged files are skipped
+  //   - renamed or moved files keep their entry and id, only the name is updated
+  //   - copies of a photo that is still present are skipped as duplicates
+  //   - edited files (same name, new content) are re-processed under the same id
+  // `force` re-processes even when the manifest already has an up-to-date entry.
+  // Companions found by scanForPhotos (RAW files, Live Photo videos) are
+  // recorded on the entry without affecting whether it is re-processed.
+  async processPhoto(photoPath, { force = false } = {}) {
+    const fileName = this.getSourceName(photoPath);
     const fileExtension = path.extname(fileName).toLowerCase();
+    const isVideo = Object.hasOwn(VIDEO_MIME_TYPES, fileExtension);
+    const isCurrent = photo => photo.processingVersion >= PROCESSING_VERSION && !photo.error && !this.leaksLocation(photo);
 
-    // Check if this photo already exists in manifest by filename
+    const { size: fileSize, mtimeMs } = await fs.stat(photoPath);
+    const mtime = Math.round(mtimeMs);
     const existingPhoto = this.manifest.photos.find(p => p.originalName === fileName);
-    const PROCESSING_VERSION = 2; // Bump this to force re-processing
 
-    if (existingPhoto && existingPhoto.processingVersion >= PROCESSING_VERSION) {
-      console.log(`Skipping ${fileName} - already processed (v${existingPhoto.processingVersion})`);
-      return existingPhoto;
-    } else if (existingPhoto) {
-      console.log(`Re-processing ${fileName} - outdated version (v${existingPhoto.processingVersion || 1} -> v${PROCESSING_VERSION})`);
+    // Callers that didn't scan (reconcile) keep the companions already recorded
+    const companions = this.companionsByPath
+      ? (this.companionsByPath.get(photoPath) || []).map(({ kind, path: companionPath }) => ({ kind, originalName: path.basename(companionPath) }))
+      : existingPhoto?.companions || [];
+    const setCompanions = photo => {
+      if (companions.length > 0) {
+        photo.companions = companions;
+      } else {
+        delete photo.companions;
+      }
+      return photo;
+    };
+
+    if (!force && existingPhoto && isCurrent(existingPhoto) &&
+        existingPhoto.fileSize === fileSize && existingPhoto.mtime === mtime) {
+      console.log(`Skipping ${fileName} - unchanged (v${existingPhoto.processingVersion})`);
+      return setCompanions(existingPhoto);
     }
 
-    // Check for duplicates by file hash (only if we're not re-processing for version update)
     const fileBuffer = await fs.readFile(photoPath);
     const fileHash = this.generateFileHash(fileBuffer);
-    const duplicatePhoto = this.manifest.photos.find(p => p.fileHash === fileHash && (!existingPhoto || existingPhoto.processingVersion >= PROCESSING_VERSION));
-    if (duplicatePhoto && (!existingPhoto || existingPhoto.processingVersion >= PROCESSING_VERSION)) {
-      console.log(`Skipping ${fileName} - duplicate of ${duplicatePhoto.originalName} (same hash: ${fileHash.substring(0, 8)}...)`);
-      return duplicatePhoto;
+
+    if (!force) {
+      const sameContent = [existingPhoto, ...this.manifest.photos].find(p => p && p.fileHash === fileHash && isCurrent(p));
+      if (sameContent === existingPhoto && existingPhoto) {
+        // Touched but not modified
+        Object.assign(existingPhoto, { fileSize, mtime });
+        console.log(`Skipping ${fileName} - content unchanged (v${existingPhoto.processingVersion})`);
+        return setCompanions(existingPhoto);
+      }
+      if (sameContent && this.currentFileNames?.has(sameContent.originalName)) {
+        console.log(`Skipping ${fileName} - duplicate of ${sameContent.originalName} (same hash: ${fileHash.substring(0, 8)}...)`);
+        // Edited into a copy of another photo: its own entry is out of date
+        if (existingPhoto) {
+          this.manifest.photos.splice(this.manifest.photos.indexOf(existingPhoto), 1);
+        }
+        return sameContent;
+      }
+      if (sameContent && !existingPhoto) {
+        console.log(`Renamed ${sameContent.originalName} -> ${fileName}`);
+        Object.assign(sameContent, { originalName: fileName, fileSize, mtime });
+        return setCompanions(sameContent);
+      }
+    }
+
+    if (existingPhoto) {
+      const reason = existingPhoto.fileHash !== fileHash ? 'content changed'
+        : this.leaksLocation(existingPhoto) ? 'uploaded with a location inside a privacy zone'
+        : `outdated version (v${existingPhoto.processingVersion || 1} -> v${PROCESSING_VERSION})`;
+      console.log(`Re-processing ${fileName} - ${reason}`);
     }
 
     console.log(`Processing ${fileName}...`);
 
+    // Stored objects are keyed by content hash, so files with the same name on
+    // different days never overwrite each other and edited files get new URLs
     const photoData = {
       originalName: fileName,
-      id: crypto.randomUUID(),
+      // Ids outlive renames and edits; new photos take theirs from the content
+      id: existingPhoto?.id ?? this.newPhotoId(fileHash, fileName),
       processed: false,
       error: null,
       fileHash: fileHash,
-      processingVersion: PROCESSING_VERSION
+      fileSize,
+      mtime,
+      processingVersion: PROCESSING_VERSION,
+      objects: []
     };
 
     try {
       // Handle videos differently
-      if (['.mov', '.mp4', '.avi'].includes(fileExtension)) {
+      if (isVideo) {
         console.log(`Processing video: ${fileName}`);
 
-        // For videos, just upload without GPS extraction or optimization
-        const cloudflareUrl = await this.uploadToCloudflare(
-          photoPath,
-          fileName,
-          'video/mp4'
-        );
+        // Creation time, location and duration from the MOV/MP4 metadata atoms
+        let metadata = { creationTime: null, location: null, duration: null };
+        try {
+          metadata = await readVideoMetadata(photoPath);
+        } catch (error) {
+          console.warn(`Could not read video metadata from ${fileName}:`, error.message);
+        }
+
+        const mimeType = VIDEO_MIME_TYPES[fileExtension];
+        const videoName = `${fileHash}${fileExtension}`;
+        const posterName = `${fileHash}.poster.jpg`;
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'video-'));
+        let videoUrl;
+        try {
+          // Upload the video with its own content type, as-is unless its
+          // metadata is to be stripped or it was recorded in a privacy zone
+          const inZone = metadata.location && findPrivacyZone(metadata.location.lat, metadata.location.lng, this.privacyZones);
+          const uploadPath = this.config.privacy?.exif?.stripVideos || inZone
+            ? await this.stripVideoMetadata(photoPath, path.join(tempDir, videoName), metadata.creationTime)
+            : photoPath;
+          if (uploadPath !== photoPath) photoData.metadataStripped = true;
+          videoUrl = await this.uploadFile(uploadPath, videoName, mimeType, photoData.objects);
+
+          // Poster frame, uploaded next to the video
+          const tempPosterPath = path.join(tempDir, posterName);
+          photoData.posterUrl = await this.createVideoPoster(photoPath, tempPosterPath, metadata.duration)
+            ? await this.uploadFile(tempPosterPath, posterName, 'image/jpeg', photoData.objects)
+            : null;
+        } finally {
+          await fs.rm(tempDir, { recursive: true, force: true });
+        }
 
-        photoData.url = cloudflareUrl;
+        photoData.url = videoUrl;
         photoData.type = 'video';
-        photoData.lat = null;
-        photoData.lng = null;
-        photoData.timestamp = null;
+        photoData.mimeType = mimeType;
+        photoData.duration = metadata.duration !== null ? Math.round(metadata.duration * 10) / 10 : null;
+        photoData.lat = metadata.location?.lat ?? null;
+        photoData.lng = metadata.location?.lng ?? null;
+        photoData.positionSource = metadata.location ? 'metadata' : null;
+        photoData.timestamp = metadata.creationTime;
         photoData.processed = true;
 
       } else {
@@ -203,32 +757,44 @@ class PhotoProcessor {
 
         // Extract GPS data
         const gpsData = await this.extractGPSData(photoPath);
+        const { embedded, camera } = await this.extractPhotoDetails(photoPath);
+
+        // Create and upload the thumbnail/medium/full derivatives, from a PNG
+        // copy for HEIC/HEIF originals sharp can't decode
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-'));
+        let derivatives;
+        try {
+          const convert = HEIF_EXTENSIONS.includes(fileExtension) && !SHARP_READS_HEIC;
+          const inputPath = convert ? await this.convertHeif(photoPath, path.join(tempDir, `${fileHash}.png`)) : photoPath;
+          derivatives = await this.createDerivatives(inputPath, fileName, fileHash, photoData.objects, {
+            sourcePath: photoPath,
+            autoOrient: !convert
+          });
+        } finally {
+          await fs.rm(tempDir, { recursive: true, force: true });
+        }
+        const { variants, optimizedSize } = derivatives;
 
-        // Create optimized version
-        const tempOptimizedPath = path.join('/tmp', `optimized_${fileName}`);
-        const optimizedSize = await this.optimizeImage(photoPath, tempOptimizedPath);
-
-        // Upload optimized version to Cloudflare
-        const cloudflareUrl = await this.uploadToCloudflare(
-          tempOptimizedPath,
-          fileName,
-          'image/jpeg'
-        );
-
-        // Clean up temp file
-        await fs.unlink(tempOptimizedPath);
-
-        photoData.url = cloudflareUrl;
+        photoData.url = variants.full.jpeg;
+        photoData.variants = variants;
+        photoData.width = variants.full.width;
+        photoData.height = variants.full.height;
         photoData.type = 'image';
-        photoData.lat = gpsData?.latitude || null;
-        photoData.lng = gpsData?.longitude || null;
+        photoData.lat = gpsData?.latitude ?? null;
+        photoData.lng = gpsData?.longitude ?? null;
         photoData.timestamp = gpsData?.timestamp || null;
+        // Curation overrides replace the embedded text (see applyOverrides)
+        if (Object.keys(embedded).length > 0) {
+          photoData.embedded = embedded;
+          Object.assign(photoData, embedded);
+        }
+        if (Object.keys(camera).length > 0) photoData.camera = camera;
         photoData.optimizedSize = optimizedSize;
         photoData.processed = true;
       }
 
       console.log(`✅ Successfully processed ${fileName}`);
-      return photoData;
+      return setCompanions(photoData);
 
     } catch (error) {
       console.error(`❌ Error processing ${fileName}:`, error.message);
@@ -237,136 +803,113 @@ class PhotoProcessor {
     }
   }
 
-  calculateDistance(lat1, lng1, lat2, lng2) {
-    const R = 3959; // Earth's radius in miles
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLng = (lng2 - lng1) * Math.PI / 180;
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-      Math.sin(dLng / 2) * Math.sin(dLng / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+  // A photo's name in the manifest: its path within photos.sourceDir, so two
+  // riders' IMG_0001.JPG in their own subfolders don't collide. Files directly
+  // in sourceDir (or outside it) go by their file name.
+  getSourceName(photoPath) {
+    const relative = path.relative(this.config.photos.sourceDir, photoPath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) return path.basename(photoPath);
+    return relative.split(path.sep).join('/');
   }
 
-  async getLocationName(lat, lng) {
-    try {
-      // Use proper User-Agent and email as required by Nominatim usage policy
-      const response = await fetch(`https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lng}&format=json&zoom=16`, {
-        headers: {
-          'User-Agent': 'CCC-Photos-Builder/1.0 (cycling photo mapping tool)',
-          'Accept': 'application/json'
-        }
-      });
-
-      // Check if response is ok and content type is JSON
-      if (!response.ok) {
-        console.warn(`Geocoding API returned ${response.status}: ${response.statusText}`);
-        return `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+  // Set each photo's contributor (see contributorOf), with the trip's and
+  // then the config's photos.contributors as aliases. Returns the photo count
+  // per contributor.
+  assignContributors(photos) {
+    const aliases = { ...this.resolveTripDay()?.trip.contributors, ...this.config.photos.contributors };
+    const counts = new Map();
+    for (const photo of photos) {
+      const contributor = contributorOf(photo, aliases);
+      if (contributor) {
+        photo.contributor = contributor;
+        counts.set(contributor, (counts.get(contributor) || 0) + 1);
+      } else {
+        delete photo.contributor;
       }
+    }
+    return counts;
+  }
 
-      const contentType = response.headers.get('content-type');
-      if (!contentType || !contentType.includes('application/json')) {
-        console.warn(`Geocoding API returned non-JSON content: ${contentType}`);
-        return `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
-      }
+  // Clustering settings: DEFAULT_GROUPING, then the build config's `grouping`,
+  // then the trip's and the day's `grouping` in src/data/trips.js
+  getGroupingOptions() {
+    const tripDay = this.resolveTripDay();
+    return {
+      ...DEFAULT_GROUPING,
+      ...this.config.grouping,
+      ...tripDay?.trip.grouping,
+      ...tripDay?.day.grouping
+    };
+  }
 
-      const data = await response.json();
-
-      if (data && data.display_name) {
-        const parts = data.display_name.split(',').map(p => p.trim());
-        if (parts.length >= 2) {
-          const road = data.address?.road || '';
-          const neighborhood = data.address?.neighbourhood || data.address?.suburb || '';
-          const city = data.address?.city || data.address?.town || '';
-          const state = data.address?.state || '';
-
-          if (neighborhood && city) {
-            return `${neighborhood}, ${city}`;
-          } else if (road && city) {
-            return `${road}, ${city}`;
-          } else if (city && state) {
-            return `${city}, ${state}`;
-          } else if (city) {
-            return city;
-          } else {
-            return parts.slice(0, 2).join(', ');
-          }
-        }
-        return data.display_name;
-      }
+  // Keep group ids stable across rebuilds so shared ?group= links keep working.
+  // Each new cluster takes the id of the previous group it shares the most
+  // photos with (largest overlaps first); clusters with no match derive one
+  // from their earliest photo's id.
+  assignGroupIds(clusters, previousGroups) {
+    const matches = [];
+    clusters.forEach((cluster, clusterIndex) => {
+      const photoIds = new Set(cluster.map(photo => photo.id));
+      previousGroups.forEach((group, groupIndex) => {
+        const overlap = group.photoIds.filter(id => photoIds.has(id)).length;
+        if (group.id && overlap > 0) matches.push({ clusterIndex, groupIndex, overlap });
+      });
+    });
+    matches.sort((a, b) => b.overlap - a.overlap || a.clusterIndex - b.clusterIndex || a.groupIndex - b.groupIndex);
 
-      return `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
-    } catch (error) {
-      console.warn(`Geocoding failed for ${lat.toFixed(4)}, ${lng.toFixed(4)}:`, error.message);
-      return `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+    const ids = new Array(clusters.length).fill(null);
+    const used = new Set();
+    for (const { clusterIndex, groupIndex } of matches) {
+      const id = previousGroups[groupIndex].id;
+      if (ids[clusterIndex] || used.has(id)) continue;
+      ids[clusterIndex] = id;
+      used.add(id);
     }
+
+    return ids.map((id, clusterIndex) => {
+      if (id) return id;
+      let derived = `g-${clusters[clusterIndex][0].id}`;
+      while (used.has(derived)) derived += '-';
+      used.add(derived);
+      return derived;
+    });
   }
 
   async groupPhotos(photos) {
-    console.log('Grouping photos by location...');
+    const options = this.getGroupingOptions();
+    console.log(`Grouping photos within ${options.radiusMiles} mi and ${options.timeWindowMinutes} min of each other...`);
 
-    const photosByLocation = photos.filter(p => p.lat && p.lng && p.processed && !p.error);
+    const photosByLocation = photos.filter(p => p.lat != null && p.lng != null && p.processed && !p.error && !p.hidden);
+    const clusters = clusterPhotos(photosByLocation, options);
+    const ids = this.assignGroupIds(clusters, this.manifest.groups || []);
     const groups = [];
-    const used = new Set();
-    const radiusMiles = 0.5;
-
-    for (let i = 0; i < photosByLocation.length; i++) {
-      if (used.has(i)) continue;
-
-      const group = [photosByLocation[i]];
-      used.add(i);
-
-      for (let j = i + 1; j < photosByLocation.length; j++) {
-        if (used.has(j)) continue;
-
-        const distance = this.calculateDistance(
-          photosByLocation[i].lat,
-          photosByLocation[i].lng,
-          photosByLocation[j].lat,
-          photosByLocation[j].lng
-        );
-
-        if (distance <= radiusMiles) {
-          group.push(photosByLocation[j]);
-          used.add(j);
-        }
-      }
-
-      // Sort photos within group by timestamp
-      group.sort((a, b) => {
-        if (!a.timestamp && !b.timestamp) return 0;
-        if (!a.timestamp) return 1;
-        if (!b.timestamp) return -1;
-        return new Date(a.timestamp) - new Date(b.timestamp);
-      });
 
+    for (const [index, group] of clusters.entries()) {
       const centerLat = group.reduce((sum, photo) => sum + photo.lat, 0) / group.length;
       const centerLng = group.reduce((sum, photo) => sum + photo.lng, 0) / group.length;
 
-      // Get location name using reverse geocoding with rate limiting
-      await new Promise(resolve => setTimeout(resolve, 2000)); // Rate limit API calls (2 seconds)
-      console.log(`Geocoding location ${centerLat.toFixed(4)}, ${centerLng.toFixed(4)}...`);
-      const locationName = await this.getLocationName(centerLat, centerLng);
+      // Overrides, cache, then providers (see scripts/geocoding.js)
+      const locationName = await this.geocoder.reverse(centerLat, centerLng, { groupId: ids[index] });
 
       groups.push({
-        id: crypto.randomUUID(),
+        id: ids[index],
         lat: centerLat,
         lng: centerLng,
-        photos: group,
-        count: group.length,
+        photoIds: group.map(photo => photo.id),
         locationName: locationName
       });
 
       console.log(`Created group: ${locationName} (${group.length} photos)`);
     }
 
+    await this.geocoder.saveCache();
     return groups;
   }
 
   async scanForPhotos() {
     console.log(`Scanning for photos in ${this.config.photos.sourceDir}...`);
 
-    const photoExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.mov', '.mp4', '.avi'];
+    const photoExtensions = [...IMAGE_EXTENSIONS, ...RAW_EXTENSIONS, ...Object.keys(VIDEO_MIME_TYPES)];
     const allFiles = [];
 
     async function scanDirectory(dir) {
@@ -387,49 +930,157 @@ class PhotoProcessor {
     }
 
     await scanDirectory(this.config.photos.sourceDir);
-    console.log(`Found ${allFiles.length} media files`);
-    return allFiles;
+
+    const { files, companions, unpaired } = pairCompanions(allFiles);
+    this.companionsByPath = companions;
+    unpaired.forEach(file => console.warn(`Skipping ${path.basename(file)} - RAW files are only kept alongside a JPEG or HEIC of the same name`));
+
+    const companionCount = allFiles.length - files.length - unpaired.length;
+    console.log(`Found ${files.length} media files${companionCount > 0 ? ` (+${companionCount} RAW/Live Photo companions)` : ''}`);
+    return files;
   }
 
-  async saveManifest() {
-    // Ensure output directory exists
-    await fs.mkdir(path.dirname(this.config.photos.manifestPath), { recursive: true });
+  // Write the manifest atomically (temp file + rename) so an interrupted run
+  // never leaves a truncated manifest behind. Writes are queued one after
+  // another, as several pool workers can checkpoint at once and would share
+  // the temp file.
+  writeManifest() {
+    const write = this.manifestWrites.then(async () => {
+      // Never write a position inside a privacy zone, even at a checkpoint
+      this.applyPrivacyZones(this.manifest.photos);
+
+      // Ensure output directory exists
+      await fs.mkdir(path.dirname(this.config.photos.manifestPath), { recursive: true });
+
+      const tempPath = `${this.config.photos.manifestPath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(this.manifest, null, 2));
+      await fs.rename(tempPath, this.config.photos.manifestPath);
+    });
+    // A failed write fails its caller, not the writes queued after it
+    this.manifestWrites = write.catch(() => {});
+    return write;
+  }
+
+  // Save progress mid-run; photos already in the manifest are skipped when a
+  // crashed or interrupted run is restarted
+  async checkpointManifest() {
+    this.manifest.lastUpdated = new Date().toISOString();
+    await this.writeManifest();
+    console.log(`💾 Checkpointed manifest (${this.manifest.photos.length} photos)`);
+  }
 
+  async saveManifest() {
     this.manifest.lastUpdated = new Date().toISOString();
-    this.manifest.version = this.manifest.version + 1;
+    this.manifest.revision = this.manifest.revision + 1;
+
+    // Validate what will be written (e.g. Date timestamps become strings)
+    const problems = validateManifest(JSON.parse(JSON.stringify(this.manifest)));
+    if (problems.length > 0) {
+      console.warn(`⚠️  Manifest does not match the schema (${problems.length} problems):`);
+      problems.slice(0, 10).forEach(problem => console.warn(`   ${problem}`));
+    }
 
-    await fs.writeFile(
-      this.config.photos.manifestPath,
-      JSON.stringify(this.manifest, null, 2)
-    );
+    await this.writeManifest();
 
     console.log(`✅ Saved manifest to ${this.config.photos.manifestPath}`);
     console.log(`📊 Total photos: ${this.manifest.photos.length}`);
     console.log(`📍 Photo groups: ${this.manifest.groups.length}`);
   }
 
+  // Id for a photo new to the manifest: the first 16 characters of its hash,
+  // unless another file has it (e.g. an edited photo keeps the id of its old
+  // content, which a new file may have), then with a -2, -3... suffix. Ids
+  // handed out earlier in the run count as taken, as their photos may still
+  // be processing.
+  newPhotoId(fileHash, fileName) {
+    const takenBy = id => this.manifest.photos.find(p => p.id === id)?.originalName ?? this.claimedIds.get(id);
+
+    const base = fileHash.substring(0, 16);
+    let id = base;
+    for (let n = 2; takenBy(id) !== undefined && takenBy(id) !== fileName; n++) {
+      id = `${base}-${n}`;
+    }
+    this.claimedIds.set(id, fileName);
+    return id;
+  }
+
+  // Add or replace a photo's manifest entry
+  upsertPhoto(photoData) {
+    const existingIndex = this.manifest.photos.findIndex(p => p.id === photoData.id);
+    if (existingIndex >= 0 && this.manifest.photos[existingIndex].originalName !== photoData.originalName) {
+      throw new Error(`Photo id ${photoData.id} of ${photoData.originalName} is already used by ${this.manifest.photos[existingIndex].originalName}`);
+    }
+    if (existingIndex >= 0) {
+      this.manifest.photos[existingIndex] = photoData;
+    } else {
+      this.manifest.photos.push(photoData);
+    }
+  }
+
+  printSummary({ processed, skipped, failures }) {
+    console.log(`\n📋 Processed ${processed}, skipped ${skipped}, failed ${failures.length}`);
+    if (failures.length > 0) {
+      console.log('❌ Failures (will be retried on the next run):');
+      failures.forEach(({ file, error }) => console.log(`   ${file}: ${error}`));
+    }
+  }
+
   async run() {
     console.log('🚀 Starting photo processing...');
 
     try {
-      // Load existing manifest
+      // Load existing manifest and the day's track
       await this.loadExistingManifest();
+      await this.loadTrack();
 
       // Scan for photos
       const photoFiles = await this.scanForPhotos();
 
-      // Process each photo
-      const processedPhotos = [];
-      for (const photoFile of photoFiles) {
+      // Process photos concurrently (processing.concurrency, default 4), adding
+      // each to the manifest as it finishes and checkpointing every
+      // processing.checkpointEvery photos (default 10)
+      const { concurrency = 4, checkpointEvery = 10 } = this.config.processing || {};
+      const summary = { processed: 0, skipped: 0, failures: [] };
+      let sinceCheckpoint = 0;
+      let completed = 0;
+
+      // Lets processPhoto tell renamed files from duplicates
+      const filesByName = new Map(photoFiles.map(filePath => [this.getSourceName(filePath), filePath]));
+      this.currentFileNames = new Set(filesByName.keys());
+
+      await runPool(photoFiles, concurrency, async (photoFile) => {
         const photoData = await this.processPhoto(photoFile);
-        processedPhotos.push(photoData);
-      }
+        completed++;
+
+        if (this.manifest.photos.includes(photoData)) {
+          // Unchanged, renamed, or a duplicate of another photo
+          summary.skipped++;
+          return;
+        }
+
+        console.log(`[${completed}/${photoFiles.length}] ${photoData.originalName}`);
+        if (photoData.error) {
+          summary.failures.push({ file: photoFile, error: photoData.error });
+
+          // A photo that fails to re-process stays published as it was; it is
+          // retried on the next run as it is still changed or outdated
+          const existing = this.manifest.photos.find(p => p.originalName === photoData.originalName);
+          if (existing?.processed && !existing.error) return;
+        } else {
+          summary.processed++;
+        }
+
+        this.upsertPhoto(photoData);
+        if (++sinceCheckpoint >= checkpointEvery) {
+          sinceCheckpoint = 0;
+          await this.checkpointManifest();
+        }
+      });
 
       // Clean up photos that no longer exist
-      const currentFileNames = photoFiles.map(filePath => path.basename(filePath));
       const originalPhotoCount = this.manifest.photos.length;
       this.manifest.photos = this.manifest.photos.filter(photo => {
-        if (currentFileNames.includes(photo.originalName)) {
+        if (this.currentFileNames.has(photo.originalName)) {
           return true;
         } else {
           console.log(`🗑️  Removing orphaned photo: ${photo.originalName}`);
@@ -439,17 +1090,29 @@ class PhotoProcessor {
 
       const removedCount = originalPhotoCount - this.manifest.photos.length;
       if (removedCount > 0) {
-        console.log(`🗑️  Removed ${removedCount} orphaned photos from manifest`);
+        console.log(`🗑️  Removed ${removedCount} orphaned photos from manifest (run reconcile:photos to delete their stored objects)`);
       }
 
-      // Update manifest with new/updated photos
-      for (const processedPhoto of processedPhotos) {
-        const existingIndex = this.manifest.photos.findIndex(p => p.originalName === processedPhoto.originalName);
-        if (existingIndex >= 0) {
-          this.manifest.photos[existingIndex] = processedPhoto;
-        } else {
-          this.manifest.photos.push(processedPhoto);
-        }
+      // Geotag photos without GPS from the track, merge the curation edits,
+      // then hide or fuzz positions inside privacy zones
+      await this.restoreOriginalPositions(this.manifest.photos, filesByName);
+      this.geotagFromTrack(this.manifest.photos);
+      const edited = applyOverrides(this.manifest, await loadOverrides(this.config.photos.overridesPath));
+      if (edited > 0) {
+        console.log(`✏️  Applied curation edits to ${edited} photos from ${this.config.photos.overridesPath}`);
+      }
+      const { hidden, fuzzed } = this.applyPrivacyZones(this.manifest.photos);
+      if (hidden + fuzzed > 0) {
+        console.log(`🔒 Privacy zones: hid ${hidden} and fuzzed ${fuzzed} photo positions`);
+      }
+      // Only a video that failed to re-process can still be leaking
+      const leaking = this.manifest.photos.filter(photo => this.leaksLocation(photo));
+      if (leaking.length > 0) {
+        throw new Error(`Videos published with a location inside a privacy zone: ${leaking.map(photo => photo.originalName).join(', ')}`);
+      }
+      const contributors = this.assignContributors(this.manifest.photos);
+      if (contributors.size > 1) {
+        console.log(`👥 Contributors: ${[...contributors].map(([name, count]) => `${name} (${count})`).join(', ')}`);
       }
 
       // Group photos by location
@@ -458,6 +1121,7 @@ class PhotoProcessor {
       // Save manifest
       await this.saveManifest();
 
+      this.printSummary(summary);
       console.log('✅ Photo processing complete!');
 
     } catch (error) {
@@ -467,6 +1131,9 @@ class PhotoProcessor {
   }
 }
 
-// Run the processor
-const processor = new PhotoProcessor();
-processor.run().catch(console.error);
\ No newline at end of file
+// Run the processor when invoked directly (scripts/reconcile-photos.js imports it)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  // Allow config to be specified via command line argument
+  const processor = new PhotoProcessor(loadConfig(process.argv[2]));
+  processor.run().catch(console.error);
+}
\ No newline at end of file
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+// Local curation UI: lists each trip day's photos with thumbnails and saves
+// captions, credits, alt text, hidden/favorite/cover marks and hand-placed
+// positions to the day's overrides file (see scripts/overrides.js). The next
+// build:photos run merges them into the manifest.
+//
+// Usage:
+//   node scripts/curate.js [--port 4322]
+//
+// Dev only: it listens on localhost and writes to the working tree. The page
+// shows what the last build:photos run wrote; re-run it to see new photos.
+
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { trips, getTrip, getDay, getDayManifestPath, getDayOverridesPath } from '../src/data/trips.js';
+import { loadRouteData } from '../src/utils/routes.js';
+import { loadOverrides, saveOverrides, validateOverrides } from './overrides.js';
+
+const UI_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'curate');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml'
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+async function readJsonBody(request) {
+  const chunks = [];
+  for await (const chunk of request) chunks.push(chunk);
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Request body is not JSON');
+  }
+}
+
+function findTripDay(slug, dayNumber) {
+  const trip = getTrip(slug);
+  const day = trip && getDay(trip, Number(dayNumber));
+  if (!day) throw new HttpError(404, `Unknown trip day: ${slug} day ${dayNumber}`);
+  return { trip, day };
+}
+
+async function readManifest(trip, day) {
+  try {
+    return JSON.parse(await fs.readFile(path.join('public', getDayManifestPath(trip, day)), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// What the editor needs about each photo
+function describePhoto(photo) {
+  return {
+    id: photo.id,
+    name: photo.originalName,
+    type: photo.type,
+    thumbnailUrl: photo.variants?.thumb?.jpeg || photo.posterUrl || photo.url,
+    lat: photo.lat ?? null,
+    lng: photo.lng ?? null,
+    positionSource: photo.positionSource ?? null,
+    timestamp: photo.timestamp ?? null,
+    // Text from the file itself, shown until an edit replaces it
+    embedded: photo.embedded || {}
+  };
+}
+
+export async function listTrips() {
+  return Promise.all(trips.map(async trip => ({
+    slug: trip.slug,
+    name: trip.name,
+    days: await Promise.all(trip.days.map(async day => ({
+      day: day.day,
+      route: day.route,
+      date: day.date,
+      photoCount: (await readManifest(trip, day))?.photos.length ?? null
+    })))
+  })));
+}
+
+export async function loadDay(slug, dayNumber) {
+  const { trip, day } = findTripDay(slug, dayNumber);
+  const manifest = await readManifest(trip, day);
+  const route = day.gpxFile ? await loadRouteData(day.gpxFile, trip.routeOptions) : null;
+
+  return {
+    trip: { slug: trip.slug, name: trip.name },
+    day: { day: day.day, route: day.route, date: day.date },
+    overridesPath: getDayOverridesPath(trip, day),
+    photos: (manifest?.photos || [])
+      .filter(photo => photo.processed && !photo.error)
+      .map(describePhoto),
+    overrides: await loadOverrides(getDayOverridesPath(trip, day)),
+    track: route ? route.track.map(([lat, lng]) => [lat, lng]) : []
+  };
+}
+
+export async function saveDay(slug, dayNumber, overrides) {
+  const { trip, day } = findTripDay(slug, dayNumber);
+  const errors = validateOverrides(overrides);
+  if (errors.length > 0) throw new HttpError(400, errors.join('; '));
+
+  const overridesPath = getDayOverridesPath(trip, day);
+  await saveOverrides(overridesPath, overrides);
+  console.log(`💾 Saved ${overridesPath}`);
+  return loadOverrides(overridesPath);
+}
+
+// Files from `root`, refusing paths that escape it
+async function serveFile(response, root, urlPath) {
+  const filePath = path.join(root, decodeURIComponent(urlPath));
+  if (!filePath.startsWith(path.resolve(root) + path.sep)) throw new HttpError(404, 'Not found');
+
+  let contents;
+  try {
+    contents = await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') throw new HttpError(404, 'Not found');
+    throw error;
+  }
+  response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+  response.end(contents);
+}
+
+async function handle(request, response) {
+  const { pathname } = new URL(request.url, 'http://localhost');
+  const dayMatch = /^\/api\/trips\/([^/]+)\/days\/(\d+)(\/overrides)?$/.exec(pathname);
+
+  if (request.method === 'GET' && pathname === '/api/trips') {
+    return sendJson(response, 200, await listTrips());
+  }
+  if (request.method === 'GET' && dayMatch && !dayMatch[3]) {
+    return sendJson(response, 200, await loadDay(dayMatch[1], dayMatch[2]));
+  }
+  if (request.method === 'PUT' && dayMatch?.[3]) {
+    return sendJson(response, 200, await saveDay(dayMatch[1], dayMatch[2], await readJsonBody(request)));
+  }
+  if (request.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+
+  // The editor itself, then public/ for thumbnails stored locally
+  if (pathname === '/' || pathname === '/app.js') {
+    return serveFile(response, UI_DIR, pathname === '/' ? '/index.html' : pathname);
+  }
+  return serveFile(response, path.resolve('public'), pathname);
+}
+
+export function createCurationServer() {
+  return http.createServer((request, response) => {
+    handle(request, response).catch(error => {
+      if (!error.status) console.error('❌ Curation request failed:', error);
+      sendJson(response, error.status || 500, { error: error.message });
+    });
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const portIndex = process.argv.indexOf('--port');
+  const port = portIndex >= 0 ? Number(process.argv[portIndex + 1]) : 4322;
+
+  createCurationServer().listen(port, '127.0.0.1', () => {
+    console.log(`✏️  Curation UI at http://localhost:${port}/`);
+  });
+}
@@ -0,0 +1,267 @@
+// Curation UI client for scripts/curate.js. Edits are kept in `overrides` in
+// the shape of the overrides file and saved with one PUT.
+const L = await import('https://unpkg.com/leaflet@1.9.4/dist/leaflet-src.esm.js');
+
+const daySelect = document.getElementById('day-select');
+const photoList = document.getElementById('photos');
+const statusLine = document.getElementById('status');
+const saveButton = document.getElementById('save');
+
+const map = L.map('map').setView([36.6, -121.9], 9);
+L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+  attribution: '© OpenStreetMap contributors',
+  maxZoom: 19
+}).addTo(map);
+const trackLayer = L.layerGroup().addTo(map);
+const markerLayer = L.layerGroup().addTo(map);
+
+let day = null;
+let overrides = null;
+let dirty = false;
+let placing = null;
+const markers = new Map();
+
+function setStatus(message) {
+  statusLine.textContent = message;
+}
+
+function setDirty(value) {
+  dirty = value;
+  saveButton.disabled = !dirty;
+  if (dirty) setStatus('Unsaved changes');
+}
+
+function editFor(id) {
+  overrides.photos[id] = overrides.photos[id] || {};
+  return overrides.photos[id];
+}
+
+function updateEdit(id, field, value) {
+  const edit = editFor(id);
+  if (value === '' || value === false || value === null) {
+    delete edit[field];
+  } else {
+    edit[field] = value;
+  }
+  setDirty(true);
+}
+
+// The hand-placed position if there is one, else the one from the build
+function positionOf(photo) {
+  const edit = overrides.photos[photo.id];
+  if (edit?.lat !== undefined) return { lat: edit.lat, lng: edit.lng, source: 'manual' };
+  if (photo.lat !== null) return { lat: photo.lat, lng: photo.lng, source: photo.positionSource };
+  return null;
+}
+
+function describePosition(photo) {
+  const position = positionOf(photo);
+  return position
+    ? `${position.lat.toFixed(5)}, ${position.lng.toFixed(5)} (${position.source || 'unknown'})`
+    : 'No position';
+}
+
+function element(tag, properties = {}, children = []) {
+  const node = Object.assign(document.createElement(tag), properties);
+  node.append(...children);
+  return node;
+}
+
+function selectPhoto(id, { pan = false } = {}) {
+  photoList.querySelectorAll('.photo').forEach(card => card.classList.toggle('selected', card.dataset.id === id));
+  photoList.querySelector(`[data-id="${CSS.escape(id)}"]`)?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  const marker = markers.get(id);
+  if (pan && marker) map.panTo(marker.getLatLng());
+}
+
+function setPosition(photo, latlng) {
+  const edit = editFor(photo.id);
+  edit.lat = Number(latlng.lat.toFixed(6));
+  edit.lng = Number(latlng.lng.toFixed(6));
+  setDirty(true);
+  renderMarker(photo);
+  refreshCard(photo);
+}
+
+function resetPosition(photo) {
+  const edit = editFor(photo.id);
+  delete edit.lat;
+  delete edit.lng;
+  setDirty(true);
+  renderMarker(photo);
+  refreshCard(photo);
+}
+
+function renderMarker(photo) {
+  markers.get(photo.id)?.remove();
+  markers.delete(photo.id);
+
+  const position = positionOf(photo);
+  if (!position) return;
+
+  const marker = L.marker([position.lat, position.lng], { draggable: true, title: photo.name })
+    .on('dragend', () => setPosition(photo, marker.getLatLng()))
+    .on('click', () => selectPhoto(photo.id))
+    .addTo(markerLayer);
+  markers.set(photo.id, marker);
+}
+
+function refreshCard(photo) {
+  const card = photoList.querySelector(`[data-id="${CSS.escape(photo.id)}"]`);
+  if (!card) return;
+  card.querySelector('.position').textContent = describePosition(photo);
+  card.querySelector('.reset').hidden = overrides.photos[photo.id]?.lat === undefined;
+  card.classList.toggle('hidden', Boolean(overrides.photos[photo.id]?.hidden));
+}
+
+function renderCard(photo) {
+  const edit = overrides.photos[photo.id] || {};
+  // Placeholders show the photo's embedded text, which applies until replaced
+  const textInput = (field, placeholder) => element('input', {
+    type: 'text',
+    placeholder: photo.embedded[field] || placeholder,
+    value: edit[field] || '',
+    oninput: event => updateEdit(photo.id, field, event.target.value)
+  });
+  const flag = (field, label) => element('label', {}, [
+    element('input', {
+      type: 'checkbox',
+      checked: Boolean(edit[field]),
+      onchange: event => {
+        updateEdit(photo.id, field, event.target.checked);
+        refreshCard(photo);
+      }
+    }),
+    ` ${label}`
+  ]);
+
+  const card = element('article', { className: 'photo' }, [
+    element('img', { src: photo.thumbnailUrl, alt: photo.name, loading: 'lazy', onclick: () => selectPhoto(photo.id, { pan: true }) }),
+    element('div', {}, [
+      element('div', { className: 'name', textContent: photo.name }),
+      element('div', { className: 'position' }),
+      textInput('caption', 'Caption'),
+      textInput('credit', 'Photographer credit'),
+      textInput('alt', 'Alt text (describe the photo)'),
+      element('div', { className: 'flags' }, [
+        flag('hidden', 'Hidden'),
+        flag('favorite', 'Favorite'),
+        element('label', {}, [
+          element('input', {
+            type: 'radio',
+            name: 'cover',
+            checked: overrides.cover === photo.id,
+            onchange: () => {
+              overrides.cover = photo.id;
+              setDirty(true);
+            }
+          }),
+          ' Cover'
+        ]),
+        element('button', {
+          className: 'secondary',
+          textContent: 'Place on map',
+          onclick: () => {
+            placing = photo;
+            selectPhoto(photo.id);
+            setStatus(`Click the map to place ${photo.name}`);
+          }
+        }),
+        element('button', { className: 'secondary reset', textContent: 'Reset position', onclick: () => resetPosition(photo) })
+      ])
+    ])
+  ]);
+  card.dataset.id = photo.id;
+  return card;
+}
+
+function render() {
+  photoList.replaceChildren();
+  markerLayer.clearLayers();
+  trackLayer.clearLayers();
+  markers.clear();
+
+  if (day.photos.length === 0) {
+    photoList.append(element('p', { className: 'empty', textContent: 'No photos in this day\'s manifest yet. Run npm run build:photos first.' }));
+  }
+  for (const photo of day.photos) {
+    photoList.append(renderCard(photo));
+    refreshCard(photo);
+    renderMarker(photo);
+  }
+
+  const bounds = [];
+  if (day.track.length > 0) {
+    const line = L.polyline(day.track, { color: '#2563eb', weight: 3, opacity: 0.7 }).addTo(trackLayer);
+    bounds.push(line.getBounds());
+  }
+  if (markers.size > 0) bounds.push(L.featureGroup([...markers.values()]).getBounds());
+  if (bounds.length > 0) map.fitBounds(bounds.reduce((all, next) => all.extend(next)), { padding: [20, 20] });
+}
+
+async function loadDay(value) {
+  const [slug, dayNumber] = value.split('/');
+  const response = await fetch(`/api/trips/${encodeURIComponent(slug)}/days/${dayNumber}`);
+  const body = await response.json();
+  if (!response.ok) throw new Error(body.error);
+
+  day = body;
+  overrides = body.overrides;
+  placing = null;
+  setDirty(false);
+  setStatus(`${day.photos.length} photos • edits saved to ${day.overridesPath}`);
+  location.hash = value;
+  render();
+}
+
+async function save() {
+  const { slug } = day.trip;
+  saveButton.disabled = true;
+  const response = await fetch(`/api/trips/${encodeURIComponent(slug)}/days/${day.day.day}/overrides`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(overrides)
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    saveButton.disabled = false;
+    setStatus(`Save failed: ${body.error}`);
+    return;
+  }
+
+  overrides = body;
+  setDirty(false);
+  setStatus('Saved. Run npm run build:photos to apply the edits to the site.');
+}
+
+map.on('click', event => {
+  if (!placing) return;
+  setPosition(placing, event.latlng);
+  placing = null;
+});
+
+saveButton.addEventListener('click', save);
+window.addEventListener('beforeunload', event => {
+  if (dirty) event.preventDefault();
+});
+
+daySelect.addEventListener('change', () => {
+  if (dirty && !confirm('Discard unsaved changes?')) {
+    daySelect.value = location.hash.slice(1);
+    return;
+  }
+  loadDay(daySelect.value).catch(error => setStatus(error.message));
+});
+
+const trips = await (await fetch('/api/trips')).json();
+for (const trip of trips) {
+  for (const { day: dayNumber, route, photoCount } of trip.days) {
+    const count = photoCount === null ? 'no manifest' : `${photoCount} photos`;
+    daySelect.append(element('option', {
+      value: `${trip.slug}/${dayNumber}`,
+      textContent: `${trip.name} • Day ${dayNumber}: ${route} (${count})`
+    }));
+  }
+}
+if (location.hash.length > 1) daySelect.value = location.hash.slice(1);
+loadDay(daySelect.value).catch(error => setStatus(error.message));
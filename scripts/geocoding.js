@@ -0,0 +1,267 @@
+// Reverse geocoding for photo groups. A Geocoder asks, in order:
+//
+//   1. manual overrides from the config
+//   2. the on-disk cache of earlier network lookups
+//   3. each configured provider (`geocoding.providers`, default ['nominatim'])
+//
+// and falls back to a "lat, lng" string. Providers implement
+//
+//   reverse(lat, lng) -> place name or null
+//
+// and set `network = true` if they make HTTP requests; only those are rate
+// limited and cached, so local providers work offline and pick up edits to
+// their files on the next run.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export function formatCoordinates(lat, lng) {
+  return `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+}
+
+function distanceMiles(lat1, lng1, lat2, lng2) {
+  const R = 3959; // Earth's radius in miles
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// OpenStreetMap Nominatim. The usage policy allows at most one request a
+// second and asks for an identifying User-Agent.
+export class NominatimGeocoder {
+  constructor({ url = 'https://nominatim.openstreetmap.org', userAgent, email } = {}) {
+    this.name = 'nominatim';
+    this.network = true;
+    this.url = url.replace(/\/$/, '');
+    this.userAgent = userAgent || 'CCC-Photos-Builder/1.0 (cycling photo mapping tool)';
+    this.email = email;
+  }
+
+  async reverse(lat, lng) {
+    const params = new URLSearchParams({ lat, lon: lng, format: 'json', zoom: 16 });
+    if (this.email) params.set('email', this.email);
+
+    const response = await fetch(`${this.url}/reverse?${params}`, {
+      headers: {
+        'User-Agent': this.userAgent,
+        'Accept': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Nominatim returned ${response.status}: ${response.statusText}`);
+    }
+
+    const contentType = response.headers.get('content-type');
+    if (!contentType || !contentType.includes('application/json')) {
+      throw new Error(`Nominatim returned non-JSON content: ${contentType}`);
+    }
+
+    const data = await response.json();
+    if (!data || !data.display_name) return null;
+
+    const parts = data.display_name.split(',').map(p => p.trim());
+    if (parts.length < 2) return data.display_name;
+
+    const road = data.address?.road || '';
+    const neighborhood = data.address?.neighbourhood || data.address?.suburb || '';
+    const city = data.address?.city || data.address?.town || '';
+    const state = data.address?.state || '';
+
+    if (neighborhood && city) {
+      return `${neighborhood}, ${city}`;
+    } else if (road && city) {
+      return `${road}, ${city}`;
+    } else if (city && state) {
+      return `${city}, ${state}`;
+    } else if (city) {
+      return city;
+    }
+    return parts.slice(0, 2).join(', ');
+  }
+}
+
+// Point-in-polygon by ray casting over a GeoJSON ring ([lng, lat] pairs)
+function ringContains(ring, lat, lng) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function polygonContains(rings, lat, lng) {
+  return ringContains(rings[0], lat, lng) && !rings.slice(1).some(hole => ringContains(hole, lat, lng));
+}
+
+// Place names from a local GeoJSON FeatureCollection. Polygon features name
+// the area they cover; otherwise the nearest Point feature within
+// `maxDistanceMiles` wins. The name comes from `properties.name`.
+export class GazetteerGeocoder {
+  constructor({ file, maxDistanceMiles = 1 }) {
+    if (!file) {
+      throw new Error('The gazetteer geocoder needs a "file" (GeoJSON)');
+    }
+    this.name = 'gazetteer';
+    this.network = false;
+    this.file = file;
+    this.maxDistanceMiles = maxDistanceMiles;
+    this.features = null;
+  }
+
+  async load() {
+    if (!this.features) {
+      const geojson = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      this.features = (geojson.features || []).filter(feature => feature.geometry && feature.properties?.name);
+    }
+    return this.features;
+  }
+
+  async reverse(lat, lng) {
+    const features = await this.load();
+    let nearest = null;
+    let nearestDistance = this.maxDistanceMiles;
+
+    for (const { geometry, properties } of features) {
+      if (geometry.type === 'Polygon' && polygonContains(geometry.coordinates, lat, lng)) {
+        return properties.name;
+      }
+      if (geometry.type === 'MultiPolygon' && geometry.coordinates.some(rings => polygonContains(rings, lat, lng))) {
+        return properties.name;
+      }
+      if (geometry.type === 'Point') {
+        const [pointLng, pointLat] = geometry.coordinates;
+        const distance = distanceMiles(lat, lng, pointLat, pointLng);
+        if (distance <= nearestDistance) {
+          nearest = properties.name;
+          nearestDistance = distance;
+        }
+      }
+    }
+
+    return nearest;
+  }
+}
+
+export class Geocoder {
+  // `overrides`: [{ lat, lng, radiusMiles (default 0.25), name }] or
+  //              [{ group, name }] to name one photo group by its id
+  // `cacheFile`: JSON map of rounded "lat,lng" to place name
+  // `cachePrecision`: decimal places of the cache key (3 ≈ 100 m)
+  // `minIntervalMs`: minimum time between network requests
+  constructor({ providers = [], overrides = [], cacheFile = null, cachePrecision = 3, minIntervalMs = 1000 } = {}) {
+    this.providers = providers;
+    this.overrides = overrides;
+    this.cacheFile = cacheFile;
+    this.cachePrecision = cachePrecision;
+    this.minIntervalMs = minIntervalMs;
+    this.cache = null;
+    this.cacheDirty = false;
+    this.lastNetworkRequest = 0;
+  }
+
+  cacheKey(lat, lng) {
+    return `${lat.toFixed(this.cachePrecision)},${lng.toFixed(this.cachePrecision)}`;
+  }
+
+  async loadCache() {
+    if (this.cache) return this.cache;
+    this.cache = {};
+    if (!this.cacheFile) return this.cache;
+
+    try {
+      this.cache = JSON.parse(await fs.readFile(this.cacheFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not read geocoding cache ${this.cacheFile}:`, error.message);
+      }
+    }
+    return this.cache;
+  }
+
+  async saveCache() {
+    if (!this.cacheFile || !this.cacheDirty) return;
+
+    // Sorted keys keep the file diff-friendly when it is committed
+    const sorted = Object.fromEntries(Object.entries(this.cache).sort(([a], [b]) => a.localeCompare(b)));
+    await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+    await fs.writeFile(this.cacheFile, JSON.stringify(sorted, null, 2) + '\n');
+    this.cacheDirty = false;
+  }
+
+  findOverride(lat, lng, groupId) {
+    return this.overrides.find(override => (override.group
+      ? override.group === groupId
+      : distanceMiles(lat, lng, override.lat, override.lng) <= (override.radiusMiles ?? 0.25)
+    )) || null;
+  }
+
+  async throttle() {
+    const wait = this.lastNetworkRequest + this.minIntervalMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    this.lastNetworkRequest = Date.now();
+  }
+
+  async reverse(lat, lng, { groupId = null } = {}) {
+    const override = this.findOverride(lat, lng, groupId);
+    if (override) return override.name;
+
+    const cache = await this.loadCache();
+    const key = this.cacheKey(lat, lng);
+
+    for (const provider of this.providers) {
+      if (provider.network && cache[key]) return cache[key];
+
+      try {
+        if (provider.network) await this.throttle();
+        const name = await provider.reverse(lat, lng);
+        if (!name) continue;
+
+        if (provider.network) {
+          cache[key] = name;
+          this.cacheDirty = true;
+        }
+        return name;
+      } catch (error) {
+        console.warn(`Geocoding with ${provider.name} failed for ${formatCoordinates(lat, lng)}:`, error.message);
+      }
+    }
+
+    return formatCoordinates(lat, lng);
+  }
+}
+
+// Build the geocoder described by the `geocoding` section of the build config
+export function createGeocoder(config) {
+  const {
+    providers = ['nominatim'],
+    nominatim = {},
+    gazetteer = {},
+    overrides = [],
+    cacheFile = './geocode-cache.json',
+    cachePrecision,
+    minIntervalMs
+  } = config.geocoding || {};
+
+  const instances = providers.map(type => {
+    switch (type) {
+      case 'nominatim':
+        return new NominatimGeocoder(nominatim);
+      case 'gazetteer':
+        return new GazetteerGeocoder(gazetteer);
+      default:
+        throw new Error(`Unknown geocoding provider: ${type}`);
+    }
+  });
+
+  return new Geocoder({ providers: instances, overrides, cacheFile, cachePrecision, minIntervalMs });
+}
@@ -0,0 +1,199 @@
+// Photo manifest format: the JSON schema in photos-manifest.schema.json, the
+// checks the schema can't express, and the migrations that upgrade manifests
+// written by older builds.
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+export const MANIFEST_SCHEMA = require('./photos-manifest.schema.json');
+
+// Format version written by this build; see MIGRATIONS
+export const SCHEMA_VERSION = 2;
+
+// Bump to make the build re-process every photo (new derivatives, keys, ...)
+export const PROCESSING_VERSION = 5;
+
+export function createEmptyManifest() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    revision: 0,
+    lastUpdated: new Date().toISOString(),
+    photos: [],
+    groups: []
+  };
+}
+
+// Each migration upgrades a manifest from the version before it. Manifests
+// without a schemaVersion are version 1.
+const MIGRATIONS = {
+  // Groups reference photos by id instead of embedding copies of them, the
+  // run counter `version` becomes `revision`, and the hand-written `day`,
+  // `route` and `totalPhotos` fields are dropped (trips.js has them)
+  2(manifest) {
+    const { version, day, route, totalPhotos, ...rest } = manifest;
+    return {
+      schemaVersion: 2,
+      revision: Number.isInteger(version) ? version : 0,
+      ...rest,
+      groups: (manifest.groups || []).map(({ photos, count, ...group }) => ({
+        ...group,
+        photoIds: (photos || []).map(photo => photo.id)
+      }))
+    };
+  }
+};
+
+export function needsMigration(manifest) {
+  return (manifest.schemaVersion || 1) < SCHEMA_VERSION;
+}
+
+export function migrateManifest(manifest) {
+  const from = manifest.schemaVersion || 1;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Manifest schema version ${from} is newer than this build supports (${SCHEMA_VERSION})`);
+  }
+
+  let migrated = manifest;
+  for (let version = from + 1; version <= SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return migrated;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+const FORMATS = {
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) &&
+    !Number.isNaN(Date.parse(value)),
+  url: value => {
+    if (!/^(https?:\/\/|\/)/.test(value)) return false;
+    try {
+      new URL(value, 'http://localhost');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+// Validates against the subset of JSON Schema the manifest schema uses: type,
+// enum, required, properties, additionalProperties, items, minItems,
+// minimum/maximum, minLength, pattern, format, anyOf and local $refs.
+// Returns a list of "path: problem" strings.
+export function validateSchema(value, schema, root = schema, at = '$') {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+    return validateSchema(value, target, root, at);
+  }
+
+  if (schema.anyOf) {
+    const passes = schema.anyOf.some(option => validateSchema(value, option, root, at).length === 0);
+    return passes ? [] : [`${at}: does not match any allowed shape`];
+  }
+
+  const errors = [];
+  const type = typeOf(value);
+
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    if (!allowed.includes(type) && !(type === 'integer' && allowed.includes('number'))) {
+      return [`${at}: expected ${allowed.join(' or ')}, got ${type}`];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: ${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: ${value} is below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: ${value} is above ${schema.maximum}`);
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: is empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: does not match ${schema.pattern}`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push(`${at}: ${JSON.stringify(value)} is not a valid ${schema.format}`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, root, `${at}[${index}]`)));
+    }
+  }
+
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing ${key}`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(...validateSchema(item, propertySchema, root, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property ${key}`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, root, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Schema checks plus the cross-references: unique ids, groups pointing at
+// existing located photos, each photo in at most one group, processed photos
+// having a URL and both or neither coordinate, and the cover being a photo
+export function validateManifest(manifest) {
+  const errors = validateSchema(manifest, MANIFEST_SCHEMA);
+
+  // The cross-reference checks need the overall shape to be right
+  const wellFormed = typeOf(manifest) === 'object' &&
+    Array.isArray(manifest.photos) && manifest.photos.every(photo => typeOf(photo) === 'object') &&
+    Array.isArray(manifest.groups) && manifest.groups.every(group => Array.isArray(group?.photoIds));
+  if (!wellFormed) return errors;
+
+  const photosById = new Map();
+  manifest.photos.forEach((photo, index) => {
+    const at = `$.photos[${index}]`;
+    if (photosById.has(photo.id)) errors.push(`${at}: duplicate id ${photo.id}`);
+    photosById.set(photo.id, photo);
+
+    if (photo.processed && !photo.error && !photo.url) errors.push(`${at}: processed but has no url`);
+    if ((photo.lat === null || photo.lat === undefined) !== (photo.lng === null || photo.lng === undefined)) {
+      errors.push(`${at}: has only one of lat/lng`);
+    }
+  });
+
+  const groupIds = new Set();
+  const groupOf = new Map();
+  manifest.groups.forEach((group, index) => {
+    const at = `$.groups[${index}]`;
+    if (groupIds.has(group.id)) errors.push(`${at}: duplicate id ${group.id}`);
+    groupIds.add(group.id);
+
+    for (const photoId of group.photoIds) {
+      const photo = photosById.get(photoId);
+      if (!photo) {
+        errors.push(`${at}: references unknown photo ${photoId}`);
+      } else if (photo.lat === null || photo.lat === undefined) {
+        errors.push(`${at}: references photo ${photoId}, which has no location`);
+      }
+      if (groupOf.has(photoId)) errors.push(`${at}: photo ${photoId} is also in ${groupOf.get(photoId)}`);
+      groupOf.set(photoId, group.id);
+    }
+  });
+
+  if (manifest.cover !== undefined && !photosById.has(manifest.cover)) {
+    errors.push(`$.cover: references unknown photo ${manifest.cover}`);
+  }
+
+  return errors;
+}
@@ -0,0 +1,149 @@
+// Curation overrides: hand edits to a day's photos kept in a sidecar file
+// (photo-overrides/<trip>/day<n>.json, see getDayOverridesPath) that the
+// photo build merges into the manifest on every run, so they survive
+// re-processing. Written by the curation UI (scripts/curate.js):
+//
+//   {
+//     "cover": "<photo id>",
+//     "photos": {
+//       "<photo id>": { "caption": "...", "credit": "...", "alt": "...", "hidden": true, "favorite": true, "lat": 36.5, "lng": -121.9 }
+//     }
+//   }
+//
+// Photos are keyed by id, which survives renames and edits.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Fields an override may set on a photo, with their type
+export const OVERRIDE_FIELDS = {
+  caption: 'string',
+  credit: 'string',
+  alt: 'string',
+  hidden: 'boolean',
+  favorite: 'boolean',
+  lat: 'number',
+  lng: 'number'
+};
+
+export function createEmptyOverrides() {
+  return { cover: null, photos: {} };
+}
+
+// Returns a list of problems; empty when the overrides are usable
+export function validateOverrides(overrides) {
+  if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+    return ['overrides must be an object'];
+  }
+
+  const errors = [];
+  if (overrides.cover !== undefined && overrides.cover !== null && typeof overrides.cover !== 'string') {
+    errors.push('cover must be a photo id or null');
+  }
+  if (typeof overrides.photos !== 'object' || overrides.photos === null || Array.isArray(overrides.photos)) {
+    return [...errors, 'photos must be an object keyed by photo id'];
+  }
+
+  for (const [id, edit] of Object.entries(overrides.photos)) {
+    if (typeof edit !== 'object' || edit === null || Array.isArray(edit)) {
+      errors.push(`photos.${id} must be an object`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(edit)) {
+      if (!OVERRIDE_FIELDS[field]) {
+        errors.push(`photos.${id}.${field} is not an editable field`);
+      } else if (typeof value !== OVERRIDE_FIELDS[field]) {
+        errors.push(`photos.${id}.${field} must be a ${OVERRIDE_FIELDS[field]}`);
+      }
+    }
+    if (('lat' in edit) !== ('lng' in edit)) {
+      errors.push(`photos.${id} must set both lat and lng`);
+    } else if ('lat' in edit && (Math.abs(edit.lat) > 90 || Math.abs(edit.lng) > 180)) {
+      errors.push(`photos.${id} has an invalid position`);
+    }
+  }
+  return errors;
+}
+
+// Drops empty strings, false flags and empty entries, and sorts photo ids so
+// saved files diff cleanly
+export function normalizeOverrides(overrides) {
+  const photos = {};
+  for (const id of Object.keys(overrides.photos || {}).sort()) {
+    const edit = {};
+    for (const field of Object.keys(OVERRIDE_FIELDS)) {
+      const value = overrides.photos[id][field];
+      if (value === undefined || value === null || value === false) continue;
+      if (typeof value === 'string' && value.trim() === '') continue;
+      edit[field] = typeof value === 'string' ? value.trim() : value;
+    }
+    if (Object.keys(edit).length > 0) photos[id] = edit;
+  }
+  return { cover: overrides.cover || null, photos };
+}
+
+export async function loadOverrides(overridesPath) {
+  let text;
+  try {
+    text = await fs.readFile(overridesPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return createEmptyOverrides();
+    throw error;
+  }
+
+  const overrides = JSON.parse(text);
+  const errors = validateOverrides(overrides);
+  if (errors.length > 0) {
+    throw new Error(`Invalid overrides in ${overridesPath}: ${errors.join('; ')}`);
+  }
+  return normalizeOverrides(overrides);
+}
+
+// Atomic like the manifest: temp file + rename
+export async function saveOverrides(overridesPath, overrides) {
+  const errors = validateOverrides(overrides);
+  if (errors.length > 0) {
+    throw new Error(`Invalid overrides: ${errors.join('; ')}`);
+  }
+
+  await fs.mkdir(path.dirname(overridesPath), { recursive: true });
+  const tempPath = `${overridesPath}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(normalizeOverrides(overrides), null, 2)}\n`);
+  await fs.rename(tempPath, overridesPath);
+}
+
+// Set the edited fields on the manifest's photos and its cover. Text an
+// override no longer sets falls back to the photo's embedded caption, credit
+// or alt text (`photo.embedded`), flags are removed; positions are left to the
+// build, which restores a photo's own position before applying overrides.
+// Returns how many photos were edited.
+export function applyOverrides(manifest, overrides) {
+  let edited = 0;
+
+  for (const photo of manifest.photos) {
+    const edit = overrides.photos[photo.id] || {};
+
+    for (const field of ['caption', 'credit', 'alt', 'hidden', 'favorite']) {
+      const value = edit[field] ?? photo.embedded?.[field];
+      if (value !== undefined) {
+        photo[field] = value;
+      } else {
+        delete photo[field];
+      }
+    }
+    if (edit.lat !== undefined) {
+      photo.lat = edit.lat;
+      photo.lng = edit.lng;
+      photo.positionSource = 'manual';
+    }
+    if (Object.keys(edit).length > 0) edited++;
+  }
+
+  const cover = manifest.photos.find(photo => photo.id === overrides.cover && !photo.hidden);
+  if (cover) {
+    manifest.cover = cover.id;
+  } else {
+    delete manifest.cover;
+  }
+  return edited;
+}
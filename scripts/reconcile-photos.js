@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+// Compares the objects in storage under photos/ with every photo manifest and
+// reports:
+//   - orphans:    stored objects no manifest references
+//   - missing:    manifest URLs with no stored object
+//   - mismatched: stored objects whose size/ETag differ from what was uploaded
+//
+// Usage:
+//   node scripts/reconcile-photos.js [config] [--delete-orphans] [--reupload] [--yes]
+//
+// Without --yes nothing is changed; the actions that would run are listed.
+// --reupload re-processes the affected photos from their source files
+// (photos.rootDir, default ./photos, plus the day's photosDir).
+
+import fs from 'fs/promises';
+import path from 'path';
+import { trips, getDayManifestPath } from '../src/data/trips.js';
+import { PhotoProcessor, loadConfig } from './build-photos.js';
+import { applyOverrides, loadOverrides } from './overrides.js';
+import { createStorage } from './storage.js';
+
+const PREFIX = 'photos/';
+
+const args = process.argv.slice(2);
+const flags = new Set(args.filter(arg => arg.startsWith('--')));
+const configFile = args.find(arg => !arg.startsWith('--'));
+
+// Every manifest: those defined for trip days plus any stray public/photos-manifest*.json
+async function findManifests() {
+  const manifests = new Map();
+
+  for (const trip of trips) {
+    for (const day of trip.days) {
+      const manifestPath = path.join('public', getDayManifestPath(trip, day));
+      manifests.set(manifestPath, { trip, day });
+    }
+  }
+
+  for (const entry of await fs.readdir('public')) {
+    if (/^photos-manifest.*\.json$/.test(entry)) {
+      const manifestPath = path.join('public', entry);
+      if (!manifests.has(manifestPath)) {
+        manifests.set(manifestPath, { trip: null, day: null });
+      }
+    }
+  }
+
+  // A manifest that can't be read must stop the run: skipping it would make
+  // every object it references an orphan, and --delete-orphans delete them
+  const loaded = [];
+  for (const [manifestPath, tripDay] of manifests) {
+    let text;
+    try {
+      text = await fs.readFile(manifestPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw new Error(`Could not read ${manifestPath}: ${error.message}`);
+    }
+    try {
+      loaded.push({ manifestPath, manifest: JSON.parse(text), ...tripDay });
+    } catch (error) {
+      throw new Error(`Could not parse ${manifestPath}: ${error.message}`);
+    }
+  }
+  return loaded;
+}
+
+// Every URL a manifest photo points at
+function photoUrls(photo) {
+  const urls = [photo.url, photo.posterUrl];
+  for (const variant of Object.values(photo.variants || {})) {
+    urls.push(variant.avif, variant.webp, variant.jpeg);
+  }
+  return urls.filter(Boolean);
+}
+
+// Objects each manifest expects in storage, keyed by storage key
+function collectExpected(manifests, storage) {
+  const urlPrefix = storage.urlFor('');
+  const expected = new Map();
+  let foreign = 0;
+
+  for (const entry of manifests) {
+    for (const photo of entry.manifest.photos) {
+      if (!photo.processed || photo.error) continue;
+
+      const uploaded = new Map((photo.objects || []).map(object => [object.key, object]));
+      for (const url of photoUrls(photo)) {
+        if (!url.startsWith(urlPrefix)) {
+          foreign++;
+          continue;
+        }
+        const key = url.slice(urlPrefix.length);
+        expected.set(key, { entry, photo, uploaded: uploaded.get(key) || null });
+      }
+    }
+  }
+
+  if (foreign > 0) {
+    console.log(`ℹ️  Skipped ${foreign} URLs that are not in ${storage.name}`);
+  }
+  return expected;
+}
+
+function reconcile(expected, stored) {
+  const storedByKey = new Map(stored.map(object => [object.key, object]));
+  const orphans = stored.filter(object => !expected.has(object.key));
+  const missing = [];
+  const mismatched = [];
+
+  for (const [key, reference] of expected) {
+    const object = storedByKey.get(key);
+    if (!object) {
+      missing.push({ key, ...reference });
+    } else if (reference.uploaded && (
+      reference.uploaded.size !== object.size ||
+      (object.etag && reference.uploaded.etag !== object.etag)
+    )) {
+      mismatched.push({ key, ...reference, stored: object });
+    }
+  }
+
+  return { orphans, missing, mismatched };
+}
+
+function printReport({ orphans, missing, mismatched }) {
+  console.log(`\n🗑️  Orphaned objects: ${orphans.length}`);
+  orphans.forEach(object => console.log(`   ${object.key} (${object.size} bytes)`));
+
+  console.log(`\n❓ Missing objects: ${missing.length}`);
+  missing.forEach(item => console.log(`   ${item.key} (${item.photo.originalName}, ${item.entry.manifestPath})`));
+
+  console.log(`\n⚠️  Size/ETag mismatches: ${mismatched.length}`);
+  mismatched.forEach(item => console.log(
+    `   ${item.key}: stored ${item.stored.size} bytes/${item.stored.etag}, uploaded ${item.uploaded.size} bytes/${item.uploaded.etag}`
+  ));
+}
+
+async function deleteOrphans(storage, orphans) {
+  for (const object of orphans) {
+    await storage.delete(object.key);
+    console.log(`Deleted ${object.key}`);
+  }
+}
+
+// Find a photo's source file by name anywhere under `dir`
+async function findSourceFile(dir, fileName) {
+  // Photos in subfolders are named by their path within sourceDir
+  if (fileName.includes('/')) {
+    const filePath = path.join(dir, ...fileName.split('/'));
+    return fs.stat(filePath).then(() => filePath, () => null);
+  }
+
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    return null;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isFile() && entry.name === fileName) return fullPath;
+    if (entry.isDirectory()) {
+      const found = await findSourceFile(fullPath, fileName);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+// Re-process every photo with a missing or mismatched object, one manifest at a time
+async function reupload(config, problems) {
+  const byManifest = new Map();
+  for (const item of problems) {
+    if (!byManifest.has(item.entry)) byManifest.set(item.entry, new Set());
+    byManifest.get(item.entry).add(item.photo);
+  }
+
+  const rootDir = config.photos.rootDir || './photos';
+  for (const [entry, photos] of byManifest) {
+    if (!entry.day) {
+      console.warn(`Skipping ${entry.manifestPath}: not defined in src/data/trips.js, so its source folder is unknown`);
+      continue;
+    }
+
+    const sourceDir = path.join(rootDir, entry.day.photosDir);
+    const processor = new PhotoProcessor({
+      ...config,
+      trip: entry.trip.slug,
+      day: entry.day.day,
+      photos: { ...config.photos, sourceDir }
+    });
+    await processor.loadExistingManifest();
+
+    for (const photo of photos) {
+      const sourcePath = await findSourceFile(sourceDir, photo.originalName);
+      if (!sourcePath) {
+        console.warn(`Cannot re-upload ${photo.originalName}: not found in ${sourceDir}`);
+        continue;
+      }
+
+      const photoData = await processor.processPhoto(sourcePath, { force: true });
+      if (photoData.error) continue;
+
+      // processPhoto keeps the id; also keep any position it already had
+      for (const field of ['lat', 'lng', 'positionSource']) {
+        if (photoData[field] === null || photoData[field] === undefined) photoData[field] = photo[field];
+      }
+
+      // Groups reference photos by id, so only the photo entry changes
+      processor.manifest.photos = processor.manifest.photos.map(p => (p.id === photo.id ? photoData : p));
+    }
+
+    // The re-processed entries start without the curation edits (hidden,
+    // favorite, captions, cover) and their contributor, so derive them again
+    // as the build does
+    applyOverrides(processor.manifest, await loadOverrides(processor.config.photos.overridesPath));
+    processor.assignContributors(processor.manifest.photos);
+    await processor.saveManifest();
+  }
+}
+
+async function main() {
+  const config = loadConfig(configFile);
+  const storage = createStorage(config);
+  const confirmed = flags.has('--yes');
+
+  console.log(`🔍 Reconciling ${storage.name} ${PREFIX} against the photo manifests...`);
+  const manifests = await findManifests();
+  const expected = collectExpected(manifests, storage);
+  const stored = await storage.list(PREFIX);
+  console.log(`Found ${stored.length} stored objects and ${expected.size} referenced by ${manifests.length} manifests`);
+
+  const result = reconcile(expected, stored);
+  printReport(result);
+
+  const problems = [...result.missing, ...result.mismatched];
+  const actions = [];
+  if (flags.has('--delete-orphans') && result.orphans.length > 0) {
+    actions.push([`delete ${result.orphans.length} orphaned objects`, () => deleteOrphans(storage, result.orphans)]);
+  }
+  if (flags.has('--reupload') && problems.length > 0) {
+    actions.push([`re-upload photos for ${problems.length} missing/mismatched objects`, () => reupload(config, problems)]);
+  }
+
+  if (actions.length === 0) {
+    console.log('\nNothing to do. Use --delete-orphans and/or --reupload to fix, with --yes to confirm.');
+    return;
+  }
+
+  if (!confirmed) {
+    console.log('\nDry run; would:');
+    actions.forEach(([description]) => console.log(`   - ${description}`));
+    console.log('Re-run with --yes to apply.');
+    return;
+  }
+
+  for (const [description, action] of actions) {
+    console.log(`\n▶️  ${description[0].toUpperCase()}${description.slice(1)}...`);
+    await action();
+  }
+  console.log('\n✅ Reconcile complete!');
+}
+
+main().catch(error => {
+  console.error('❌ Error during reconcile:', error);
+  process.exit(1);
+});
@@ -0,0 +1,168 @@
+// Storage adapters for the photo build. Every adapter stores files under a key
+// such as `photos/IMG_0001-full.jpg` and returns the public URL for it:
+//
+//   upload(filePath, key, contentType) -> url
+//   list(prefix)                       -> [{ key, size, etag }]
+//   delete(key)
+//   urlFor(key)                        -> url
+//
+// Pick one with `storage.type` in the build config: `r2`, `s3` or `local`.
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import {
+  S3Client,
+  PutObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+
+const CACHE_CONTROL = 'public, max-age=31536000'; // Cache for 1 year
+
+// Any S3-compatible bucket (AWS S3, MinIO, ...)
+export class S3Storage {
+  constructor({ endpoint, region = 'auto', bucketName, accessKeyId, secretAccessKey, publicUrl, forcePathStyle = false }) {
+    this.name = endpoint ? `S3 (${endpoint})` : 'S3';
+    this.bucketName = bucketName;
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+    this.client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: { accessKeyId, secretAccessKey }
+    });
+  }
+
+  urlFor(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+
+  async upload(filePath, key, contentType) {
+    const body = await fs.readFile(filePath);
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      CacheControl: CACHE_CONTROL
+    }));
+    return this.urlFor(key);
+  }
+
+  async list(prefix) {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+      for (const object of response.Contents || []) {
+        objects.push({ key: object.Key, size: object.Size, etag: object.ETag?.replace(/"/g, '') || null });
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucketName, Key: key }));
+  }
+}
+
+// Cloudflare R2 is S3-compatible with an account-specific endpoint
+export class R2Storage extends S3Storage {
+  constructor({ accountId, accessKeyId, secretAccessKey, bucketName, bucketUrl }) {
+    super({
+      endpoint: `https://${accountId}.r2.cloudflarestorage.com`,
+      region: 'auto',
+      bucketName,
+      accessKeyId,
+      secretAccessKey,
+      publicUrl: bucketUrl
+    });
+    this.name = 'Cloudflare R2';
+  }
+}
+
+// Writes into a local directory served by the site (public/ by default), so
+// photos are deployed with the site and URLs are root-relative
+export class LocalStorage {
+  constructor({ dir = 'public', baseUrl = '' } = {}) {
+    this.name = `local (${dir})`;
+    this.dir = dir;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  urlFor(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+
+  async upload(filePath, key) {
+    const outputPath = path.join(this.dir, key);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.copyFile(filePath, outputPath);
+    return this.urlFor(key);
+  }
+
+  async list(prefix) {
+    const objects = [];
+    const root = path.join(this.dir, prefix);
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          const contents = await fs.readFile(fullPath);
+          objects.push({
+            key: path.relative(this.dir, fullPath).split(path.sep).join('/'),
+            size: contents.length,
+            // Same as S3's ETag for single-part uploads
+            etag: crypto.createHash('md5').update(contents).digest('hex')
+          });
+        }
+      }
+    };
+
+    await walk(root);
+    return objects;
+  }
+
+  async delete(key) {
+    await fs.rm(path.join(this.dir, key), { force: true });
+  }
+}
+
+// Build the adapter named in the config. Configs from before `storage` existed
+// only have a `cloudflare` section and keep using R2.
+export function createStorage(config) {
+  const storage = config.storage || (config.cloudflare ? { type: 'r2', ...config.cloudflare } : null);
+  if (!storage) {
+    throw new Error('No storage configured: add a "storage" section (type "r2", "s3" or "local")');
+  }
+
+  switch (storage.type) {
+    case 'r2':
+      return new R2Storage(storage);
+    case 's3':
+      return new S3Storage(storage);
+    case 'local':
+      return new LocalStorage(storage);
+    default:
+      throw new Error(`Unknown storage type: ${storage.type}`);
+  }
+}
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+// Checks every public/photos-manifest*.json and every trip-day manifest
+// against the manifest schema (scripts/photos-manifest.schema.json) and the
+// cross-reference rules in scripts/manifest.js. Exits non-zero on errors.
+//
+// Usage:
+//   node scripts/validate-manifests.js [manifest...] [--migrate]
+//
+// Manifests written by older builds are validated as they would be after
+// migration; --migrate writes the upgraded files back.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { trips, getDayManifestPath } from '../src/data/trips.js';
+import { migrateManifest, needsMigration, validateManifest } from './manifest.js';
+
+const args = process.argv.slice(2);
+const migrate = args.includes('--migrate');
+const files = args.filter(arg => !arg.startsWith('--'));
+
+async function findManifests() {
+  const found = new Set();
+
+  for (const entry of await fs.readdir('public')) {
+    if (/^photos-manifest.*\.json$/.test(entry)) found.add(path.join('public', entry));
+  }
+  for (const trip of trips) {
+    for (const day of trip.days) {
+      const manifestPath = path.join('public', getDayManifestPath(trip, day));
+      try {
+        await fs.access(manifestPath);
+        found.add(manifestPath);
+      } catch {
+        // Days without photos yet have no manifest
+      }
+    }
+  }
+
+  return [...found].sort();
+}
+
+async function validateFile(manifestPath) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  } catch (error) {
+    return { errors: [`cannot read: ${error.message}`] };
+  }
+
+  const outdated = needsMigration(manifest);
+  let upgraded;
+  try {
+    upgraded = migrateManifest(manifest);
+  } catch (error) {
+    return { errors: [error.message] };
+  }
+
+  const errors = validateManifest(upgraded);
+  if (outdated && migrate && errors.length === 0) {
+    await fs.writeFile(manifestPath, JSON.stringify(upgraded, null, 2));
+  }
+  return { errors, outdated, from: manifest.schemaVersion || 1, photos: upgraded.photos?.length ?? 0 };
+}
+
+async function main() {
+  const manifests = files.length > 0 ? files : await findManifests();
+  let failed = 0;
+
+  for (const manifestPath of manifests) {
+    const { errors, outdated, from, photos } = await validateFile(manifestPath);
+
+    if (errors.length > 0) {
+      failed++;
+      console.log(`❌ ${manifestPath}: ${errors.length} problems`);
+      errors.slice(0, 20).forEach(error => console.log(`   ${error}`));
+      if (errors.length > 20) console.log(`   ... and ${errors.length - 20} more`);
+    } else if (outdated) {
+      console.log(migrate
+        ? `⬆️  ${manifestPath}: migrated from schema v${from} (${photos} photos)`
+        : `⚠️  ${manifestPath}: valid after migration from schema v${from}; run with --migrate to upgrade it`);
+    } else {
+      console.log(`✅ ${manifestPath} (${photos} photos)`);
+    }
+  }
+
+  console.log(`\n${manifests.length - failed} of ${manifests.length} manifests valid`);
+  if (failed > 0) process.exit(1);
+}
+
+main().catch(error => {
+  console.error('❌ Error validating manifests:', error);
+  process.exit(1);
+});
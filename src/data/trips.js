@@ -0,0 +1,136 @@
+// Single source of truth for every tour: page titles, navigation, loader titles
+// and the per-day GPX/manifest paths are all derived from these definitions.
+// Adding a day means adding one entry to a trip's `days`; adding a trip means
+// adding one entry to `trips`. Days without a `manifestPath` get a per-trip
+// manifest at /trips/<slug>/photos-manifest-day<n>.json. A day's `gpxFile` may
+// also be a .tcx, .fit or .geojson file; its extension picks the format (see
+// src/utils/track-import.js). `routeOptions` are passed to analyzeTrack when
+// the day routes are built (stop detection thresholds).
+// `grouping` on a trip or a day overrides how the photo build clusters photos
+// (`radiusMiles`, `timeWindowMinutes`, `minPhotos`; see src/utils/photos.js).
+// `contributors` on a trip maps rider subfolders, credits or camera models to
+// the names shown on the site (see contributorOf in scripts/build-photos.js).
+// `tracks` on a day adds more track files drawn beside its route, e.g. another
+// rider's recording: [{ gpxFile, name, color }] (see loadDayRouteData in
+// src/utils/routes.js). A file with several tracks shows each of them.
+export const trips = [
+  {
+    slug: 'ccc-2025',
+    name: 'CCC Fun Finders 2025',
+    shortName: 'Fun Finders 2025',
+    prefix: 'CCC',
+    headerImage: '/header_image.png',
+    routeOptions: { stopSpeedThreshold: 2, minStopDuration: 120 },
+    days: [
+      {
+        day: 1,
+        route: 'San Francisco to Santa Cruz',
+        date: 'Sat, Sep 7, 2025',
+        gpxFile: '/gpx/CCC_Day_1_fun_finders_2025.gpx',
+        manifestPath: '/photos-manifest.json',
+        photosDir: 'day 1'
+      },
+      {
+        day: 2,
+        route: 'Santa Cruz to Monterey',
+        date: 'Sun, Sep 8, 2025',
+        gpxFile: '/gpx/CCC_Day_2_2025_Fun_Finders.gpx',
+        manifestPath: '/photos-manifest-day2.json',
+        photosDir: 'day 2'
+      },
+      {
+        day: 3,
+        route: 'Monterey to Big Sur',
+        date: 'Mon, Sep 9, 2025',
+        gpxFile: '/gpx/CCC_day_3_Monterey_to_Big_Sur.gpx',
+        manifestPath: '/photos-manifest-day3.json',
+        photosDir: 'day 3'
+      },
+      {
+        day: 4,
+        route: 'Paso Robles to Cambria',
+        date: 'Tue, Sep 10, 2025',
+        gpxFile: '/gpx/CCC_Day_4_Paso_Robles_to_Cambria.gpx',
+        manifestPath: '/photos-manifest-day4.json',
+        photosDir: 'day 4'
+      },
+      {
+        day: 5,
+        route: 'Cambria to Pismo Beach',
+        date: 'Wed, Sep 11, 2025',
+        gpxFile: '/gpx/CCC_Day_5_Cambria_to_Pismo_Beach.gpx',
+        manifestPath: '/photos-manifest-day5.json',
+        photosDir: 'day 5'
+      },
+      {
+        day: 6,
+        route: 'Pismo Beach to Buellton',
+        date: 'Thu, Sep 12, 2025',
+        gpxFile: '/gpx/CCC_Day_6_Pismo_Beach_to_Buellton.gpx',
+        manifestPath: '/photos-manifest-day6.json',
+        photosDir: 'day 6'
+      },
+      {
+        day: 7,
+        route: 'Buellton to Ventura',
+        date: 'Fri, Sep 13, 2025',
+        gpxFile: '/gpx/CCC_Day_7_Buellton_to_Ventura.gpx',
+        manifestPath: '/photos-manifest-day7.json',
+        photosDir: 'day 7'
+      },
+      {
+        day: 8,
+        route: 'Ventura to Malibu',
+        date: 'Sat, Sep 14, 2025',
+        gpxFile: '/gpx/CCC_Day_8_Ventura_to_Malibu.gpx',
+        manifestPath: '/photos-manifest-day8.json',
+        photosDir: 'day 8'
+      }
+    ]
+  }
+];
+
+// The site root and /dayN pages render this trip
+export const defaultTrip = trips[0];
+
+export function getTrip(slug) {
+  return trips.find(t => t.slug === slug) || null;
+}
+
+export function getDay(trip, dayNumber) {
+  return trip.days.find(d => d.day === dayNumber) || null;
+}
+
+export function getTripPath(trip) {
+  return `/trips/${trip.slug}`;
+}
+
+export function getDayPath(trip, dayNumber) {
+  return `${getTripPath(trip)}/day/${dayNumber}`;
+}
+
+export function getDayManifestPath(trip, day) {
+  return day.manifestPath || `${getTripPath(trip)}/photos-manifest-day${day.day}.json`;
+}
+
+// Curation edits merged by the photo build (scripts/overrides.js); kept at the
+// project root rather than in public/
+export function getDayOverridesPath(trip, day) {
+  return `photo-overrides/${trip.slug}/day${day.day}.json`;
+}
+
+// Precomputed route JSON generated from the day's GPX (src/pages/routes)
+export function getDayRoutePath(trip, day) {
+  return `/routes/${trip.slug}/day${day.day}.json`;
+}
+
+export function getDayTitle(trip, dayNumber) {
+  const dayInfo = getDay(trip, dayNumber);
+  return dayInfo
+    ? `Day ${dayNumber} - ${dayInfo.date} (${dayInfo.route})`
+    : trip.name;
+}
+
+export function getDocumentTitle(trip, dayNumber) {
+  return `${trip.prefix} Day ${dayNumber} - ${trip.shortName}`;
+}
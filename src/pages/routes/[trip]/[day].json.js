@@ -0,0 +1,29 @@
+import { trips } from '../../../data/trips.js';
+import { loadDayRouteData } from '../../../utils/routes.js';
+
+// Precomputed route JSON per day, generated at build time from the day's GPX.
+// Days whose GPX file is missing get no route file. Days with several tracks
+// list them in `tracks` (see loadDayRouteData).
+export async function getStaticPaths() {
+  const paths = [];
+
+  for (const trip of trips) {
+    for (const day of trip.days) {
+      const routeData = await loadDayRouteData(day, trip.routeOptions);
+      if (routeData) {
+        paths.push({
+          params: { trip: trip.slug, day: `day${day.day}` },
+          props: { routeData }
+        });
+      }
+    }
+  }
+
+  return paths;
+}
+
+export function GET({ props }) {
+  return new Response(JSON.stringify(props.routeData), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
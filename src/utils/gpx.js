@@ -1,3 +1,9 @@
+// GPX parsing and route statistics, shared by the build (with @xmldom/xmldom)
+// and the browser (with the native DOMParser). Other formats are read into the
+// same track points by track-import.js.
+
+const METERS_TO_FEET = 3.28084;
+
 function calculateDistance(lat1, lng1, lat2, lng2) {
   const R = 3959; // Earth's radius in miles
   const dLat = (lat2 - lat1) * Math.PI / 180;
@@ -15,16 +21,358 @@ function calculateSpeed(distance, time1, time2) {
   return timeDiff > 0 ? distance / timeDiff : 0;
 }
 
-export function parseGPX(gpxText) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(gpxText, 'application/xml');
+// Text of the first descendant element with the given tag name, or null.
+// Uses getElementsByTagName so it works with both xmldom and browser documents.
+export function childText(element, tagName) {
+  const child = element.getElementsByTagName(tagName)[0];
+  return child && child.textContent ? child.textContent : null;
+}
+
+// Text of the first descendant with the given local name in any namespace, or
+// null. GPX extensions and TCX power readings come with varying prefixes.
+export function localText(element, localName) {
+  const child = element.getElementsByTagNameNS('*', localName)[0];
+  return child && child.textContent ? child.textContent : null;
+}
+
+// Sensor readings a track point may carry: heart rate (bpm), cadence (rpm),
+// power (W) and temperature (°C). Points only have the ones recorded.
+export const SENSORS = ['heartRate', 'cadence', 'power', 'temperature'];
+
+// Copy the numeric readings among `values` (keyed like SENSORS) onto a point
+export function addSensors(point, values) {
+  for (const sensor of SENSORS) {
+    const value = parseFloat(values[sensor]);
+    if (Number.isFinite(value)) point[sensor] = value;
+  }
+  return point;
+}
+
+// Element names of each sensor in GPX <extensions> (Garmin's
+// TrackPointExtension and the plain names other apps write)
+const GPX_SENSOR_NAMES = {
+  heartRate: ['hr', 'heartrate'],
+  cadence: ['cad', 'cadence'],
+  power: ['power', 'PowerInWatts'],
+  temperature: ['atemp', 'temp']
+};
+
+function readGpxSensors(point) {
+  const values = {};
+  for (const [sensor, names] of Object.entries(GPX_SENSOR_NAMES)) {
+    values[sensor] = names.map(name => localText(point, name)).find(value => value !== null);
+  }
+  return values;
+}
+
+// Smoothed max speed using a moving average, similar to how Strava reports it
+function calculateMaxSpeed(trackPoints) {
+  const smoothingWindow = 5; // Use 5-point moving average
+  let maxSpeed = 0;
+  let maxSpeedPoint = null;
+
+  for (let i = smoothingWindow; i < trackPoints.length - smoothingWindow; i++) {
+    // Calculate average speed over the smoothing window
+    let totalDistance = 0;
+    let totalTime = 0;
+
+    for (let j = i - Math.floor(smoothingWindow / 2); j < i + Math.floor(smoothingWindow / 2); j++) {
+      if (j > 0 && j < trackPoints.length && trackPoints[j].time && trackPoints[j - 1].time &&
+          trackPoints[j].segment === trackPoints[j - 1].segment) {
+        const segmentDist = calculateDistance(
+          trackPoints[j - 1].lat, trackPoints[j - 1].lng,
+          trackPoints[j].lat, trackPoints[j].lng
+        );
+        const segmentTime = (new Date(trackPoints[j].time) - new Date(trackPoints[j - 1].time)) / 1000 / 3600;
+
+        if (segmentTime > 0) {
+          totalDistance += segmentDist;
+          totalTime += segmentTime;
+        }
+      }
+    }
+
+    if (totalTime > 0) {
+      const smoothedSpeed = totalDistance / totalTime;
+      // Apply conservative filtering (max reasonable cycling speed ~60 mph)
+      if (smoothedSpeed > maxSpeed && smoothedSpeed < 60) {
+        maxSpeed = smoothedSpeed;
+        maxSpeedPoint = trackPoints[i];
+      }
+    }
+  }
+
+  return { maxSpeed, maxSpeedPoint };
+}
+
+// Split the ride into moving and stopped time. A segment slower than
+// `stopSpeedThreshold` (mph) counts as stopped; runs of stopped segments lasting
+// at least `minStopDuration` seconds are reported as stops.
+function calculateMovement(trackPoints, stopSpeedThreshold, minStopDuration) {
+  const timed = trackPoints.filter(p => p.time);
+  const result = { movingTime: 0, elapsedTime: 0, stops: [] };
+  if (timed.length < 2) return result;
+
+  result.elapsedTime = (new Date(timed[timed.length - 1].time) - new Date(timed[0].time)) / 1000;
+
+  let currentStop = null;
+  const closeStop = () => {
+    if (currentStop && currentStop.duration >= minStopDuration) {
+      result.stops.push(currentStop);
+    }
+    currentStop = null;
+  };
+
+  for (let i = 1; i < timed.length; i++) {
+    const prev = timed[i - 1];
+    const curr = timed[i];
+    // A recording gap between segments is neither moving nor a stop
+    if (curr.segment !== prev.segment) {
+      closeStop();
+      continue;
+    }
+    const seconds = (new Date(curr.time) - new Date(prev.time)) / 1000;
+    if (seconds <= 0) continue;
+
+    const distance = calculateDistance(prev.lat, prev.lng, curr.lat, curr.lng);
+    const speed = distance / (seconds / 3600);
+
+    if (speed >= stopSpeedThreshold) {
+      result.movingTime += seconds;
+      closeStop();
+    } else if (currentStop) {
+      currentStop.duration += seconds;
+    } else {
+      currentStop = { lat: prev.lat, lng: prev.lng, start: prev.time, duration: seconds };
+    }
+  }
+  closeStop();
+
+  return result;
+}
+
+// Moving average of elevation over `window` points, so GPS noise does not
+// count as climbing. Points without elevation stay null.
+function smoothElevations(trackPoints, window) {
+  const half = Math.floor(window / 2);
+  return trackPoints.map((point, i) => {
+    if (point.elevation === null) return null;
+    let sum = 0;
+    let count = 0;
+    for (let j = Math.max(0, i - half); j <= Math.min(trackPoints.length - 1, i + half); j++) {
+      if (trackPoints[j].elevation !== null) {
+        sum += trackPoints[j].elevation;
+        count++;
+      }
+    }
+    return sum / count;
+  });
+}
+
+// Gain and loss (meters) with hysteresis: elevation has to move `threshold`
+// meters away from the last reference before it is counted
+function calculateGainLoss(elevations, threshold) {
+  let gain = 0;
+  let loss = 0;
+  let reference = null;
+
+  for (const elevation of elevations) {
+    if (elevation === null) continue;
+    if (reference === null) {
+      reference = elevation;
+    } else if (elevation - reference >= threshold) {
+      gain += elevation - reference;
+      reference = elevation;
+    } else if (reference - elevation >= threshold) {
+      loss += reference - elevation;
+      reference = elevation;
+    }
+  }
+
+  return { gain, loss };
+}
+
+// Grades (%) measured over runs of at least `intervalMeters`; the average is
+// taken over the uphill runs only
+function calculateGrades(trackPoints, elevations, intervalMeters) {
+  let maxGrade = 0;
+  let climbRise = 0;
+  let climbRun = 0;
+  let start = -1;
+
+  for (let i = 0; i < trackPoints.length; i++) {
+    if (elevations[i] === null) continue;
+    if (start === -1) {
+      start = i;
+      continue;
+    }
+
+    const run = (trackPoints[i].distance - trackPoints[start].distance) * 1609.34;
+    if (run < intervalMeters) continue;
 
-  const trackPoints = Array.from(doc.querySelectorAll('trkpt')).map(point => ({
-    lat: parseFloat(point.getAttribute('lat')),
-    lng: parseFloat(point.getAttribute('lon')),
-    elevation: point.querySelector('ele')?.textContent ? parseFloat(point.querySelector('ele').textContent) : null,
-    time: point.querySelector('time')?.textContent || null
+    const rise = elevations[i] - elevations[start];
+    maxGrade = Math.max(maxGrade, rise / run * 100);
+    if (rise > 0) {
+      climbRise += rise;
+      climbRun += run;
+    }
+    start = i;
+  }
+
+  return { maxGrade, averageGrade: climbRun > 0 ? climbRise / climbRun * 100 : 0 };
+}
+
+// Strava-style climb category from length (m) x average grade (%)
+function climbCategory(lengthMeters, grade) {
+  const score = lengthMeters * grade;
+  if (score >= 80000) return 'HC';
+  if (score >= 64000) return 'Cat 1';
+  if (score >= 32000) return 'Cat 2';
+  if (score >= 16000) return 'Cat 3';
+  if (score >= 8000) return 'Cat 4';
+  return 'Uncategorized';
+}
+
+// A climb runs from a low point to the highest point reached before the road
+// drops more than `dropTolerance` meters below it. Climbs need at least
+// `minGain` meters of gain at `minGrade` percent average to be reported.
+function detectClimbs(trackPoints, elevations, { dropTolerance, minGain, minGrade }) {
+  const indices = trackPoints.map((_, i) => i).filter(i => elevations[i] !== null);
+  const climbs = [];
+  if (indices.length < 2) return climbs;
+
+  const addClimb = (startIndex, endIndex) => {
+    const gain = elevations[endIndex] - elevations[startIndex];
+    const lengthMeters = (trackPoints[endIndex].distance - trackPoints[startIndex].distance) * 1609.34;
+    if (gain < minGain || lengthMeters <= 0) return;
+
+    const averageGrade = gain / lengthMeters * 100;
+    if (averageGrade < minGrade) return;
+
+    const startPoint = trackPoints[startIndex];
+    const endPoint = trackPoints[endIndex];
+    climbs.push({
+      start: { lat: startPoint.lat, lng: startPoint.lng, distance: startPoint.distance },
+      end: { lat: endPoint.lat, lng: endPoint.lng, distance: endPoint.distance },
+      length: endPoint.distance - startPoint.distance,
+      gain: gain * METERS_TO_FEET,
+      averageGrade: averageGrade,
+      category: climbCategory(lengthMeters, averageGrade),
+      trackPoints: trackPoints.slice(startIndex, endIndex + 1)
+    });
+  };
+
+  let startIndex = indices[0];
+  let peakIndex = indices[0];
+
+  for (const i of indices.slice(1)) {
+    if (elevations[i] > elevations[peakIndex]) {
+      peakIndex = i;
+    } else if (elevations[peakIndex] - elevations[i] > dropTolerance) {
+      addClimb(startIndex, peakIndex);
+      startIndex = i;
+      peakIndex = i;
+      continue;
+    }
+
+    // A new low (or a flat stretch at the low) before any significant climb
+    // restarts the search from here
+    if (elevations[i] <= elevations[startIndex]) {
+      startIndex = i;
+      peakIndex = i;
+    }
+  }
+  addClimb(startIndex, peakIndex);
+
+  return climbs;
+}
+
+// Track points of `element` (a document or a <trk>), numbering each <trkseg>
+// as a segment; nothing is measured across the gap between two segments
+function readTrackPoints(element) {
+  const segments = Array.from(element.getElementsByTagName('trkseg'));
+  // Points directly in a <trk> (invalid, but seen in the wild) form one segment
+  const lists = segments.length > 0 ? segments : [element];
+
+  return lists.flatMap((list, segment) => Array.from(list.getElementsByTagName('trkpt')).map(point => {
+    const elevation = childText(point, 'ele');
+    return addSensors({
+      lat: parseFloat(point.getAttribute('lat')),
+      lng: parseFloat(point.getAttribute('lon')),
+      elevation: elevation !== null ? parseFloat(elevation) : null,
+      time: childText(point, 'time'),
+      segment
+    }, readGpxSensors(point));
   }));
+}
+
+// Trimmed text of a direct child element, e.g. the <name> of a <trk> without
+// descending into its points' names, or null
+export function ownText(element, tagName) {
+  const child = Array.from(element.childNodes).find(node => node.nodeName === tagName);
+  return child && child.textContent ? child.textContent.trim() : null;
+}
+
+// Pass `DOMParser` from @xmldom/xmldom when running outside the browser; the
+// other options are analyzeTrack's. Every point of the file is one route; each
+// <trkseg> (and so each <trk>) is a segment, with no distance or moving time
+// counted across the gaps between them. See parseGPXTracks to keep the <trk>s apart.
+export function parseGPX(gpxText, options = {}) {
+  const doc = new (options.DOMParser || globalThis.DOMParser)().parseFromString(gpxText, 'application/xml');
+  return analyzeTrack(readTrackPoints(doc), childText(doc, 'name') || 'Route', options);
+}
+
+// The { name, trackPoints } of each non-empty <trk>, named by the track's
+// <name>, else the file's, else "Track <n>"
+export function readGPXTracks(gpxText, options = {}) {
+  const doc = new (options.DOMParser || globalThis.DOMParser)().parseFromString(gpxText, 'application/xml');
+  const metadata = doc.getElementsByTagName('metadata')[0];
+  const fileName = metadata ? childText(metadata, 'name') : null;
+
+  return Array.from(doc.getElementsByTagName('trk'))
+    .map((trk, index) => ({ name: ownText(trk, 'name') || fileName || `Track ${index + 1}`, trackPoints: readTrackPoints(trk) }))
+    .filter(({ trackPoints }) => trackPoints.length > 0);
+}
+
+// One parsed route (as parseGPX returns) per <trk>
+export function parseGPXTracks(gpxText, options = {}) {
+  return readGPXTracks(gpxText, options).map(({ trackPoints, name }) => analyzeTrack(trackPoints, name, options));
+}
+
+// Minimum, average and maximum of each sensor recorded on the track
+function summarizeSensors(trackPoints) {
+  const sensors = {};
+  for (const sensor of SENSORS) {
+    const values = trackPoints.map(point => point[sensor]).filter(value => value !== undefined);
+    if (values.length === 0) continue;
+    // Whole units, but tenths of a degree
+    const digits = sensor === 'temperature' ? 1 : 0;
+    sensors[sensor] = {
+      min: round(values.reduce((min, value) => Math.min(min, value)), digits),
+      average: round(values.reduce((sum, value) => sum + value, 0) / values.length, digits),
+      max: round(values.reduce((max, value) => Math.max(max, value)), digits)
+    };
+  }
+  return sensors;
+}
+
+// Distance, speed, moving time, elevation, climbs and sensor statistics of
+// track points ({ lat, lng, elevation (m), time, segment } plus any SENSORS),
+// as every track format is read.
+// `stopSpeedThreshold` (mph) and `minStopDuration` (seconds) tune stop detection;
+// `elevationSmoothing` (points) and `elevationThreshold` (meters) tune gain/loss;
+// `gradeInterval` (meters) sets the run over which grades are measured; and
+// `climbDropTolerance`, `minClimbGain` (meters) and `minClimbGrade` (%) tune climb detection.
+export function analyzeTrack(trackPoints, name, {
+  stopSpeedThreshold = 2,
+  minStopDuration = 120,
+  elevationSmoothing = 5,
+  elevationThreshold = 2,
+  gradeInterval = 100,
+  climbDropTolerance = 10,
+  minClimbGain = 30,
+  minClimbGrade = 3
+} = {}) {
 
   const bounds = trackPoints.reduce((acc, point) => ({
     minLat: Math.min(acc.minLat, point.lat),
@@ -40,44 +388,57 @@ export function parseGPX(gpxText) {
 
   // Calculate statistics
   let totalDistance = 0;
-  let totalElevationGain = 0;
-  let maxSpeed = 0;
-  let maxSpeedPoint = null;
   let minElevation = Infinity;
   let maxElevation = -Infinity;
 
+  if (trackPoints.length > 0) {
+    trackPoints[0].distance = 0;
+  }
+
   for (let i = 1; i < trackPoints.length; i++) {
     const prev = trackPoints[i - 1];
     const curr = trackPoints[i];
 
-    // Calculate distance
-    const segmentDistance = calculateDistance(prev.lat, prev.lng, curr.lat, curr.lng);
+    // Calculate distance, leaving out the jump to the start of a new segment
+    const segmentDistance = curr.segment === prev.segment
+      ? calculateDistance(prev.lat, prev.lng, curr.lat, curr.lng)
+      : 0;
     totalDistance += segmentDistance;
+    curr.distance = totalDistance;
 
-    // Calculate elevation gain
+    // Track elevation range
     if (prev.elevation !== null && curr.elevation !== null) {
-      const elevationDiff = curr.elevation - prev.elevation;
-      if (elevationDiff > 0) {
-        totalElevationGain += elevationDiff;
-      }
-
       minElevation = Math.min(minElevation, curr.elevation);
       maxElevation = Math.max(maxElevation, curr.elevation);
     }
 
-    // Calculate speed
-    const speed = calculateSpeed(segmentDistance, prev.time, curr.time);
-    if (speed > maxSpeed && speed < 100) { // Filter out unrealistic speeds
-      maxSpeed = speed;
-      maxSpeedPoint = curr;
-    }
+    // Instantaneous speed, kept on the point for later consumers
+    curr.speed = calculateSpeed(segmentDistance, prev.time, curr.time);
   }
 
+  const { maxSpeed, maxSpeedPoint } = calculateMaxSpeed(trackPoints);
+  const { movingTime, elapsedTime, stops } = calculateMovement(trackPoints, stopSpeedThreshold, minStopDuration);
+  const averageSpeed = movingTime > 0 ? totalDistance / (movingTime / 3600) : 0;
+
+  // Elevation analytics run on smoothed elevations
+  const smoothedElevations = smoothElevations(trackPoints, elevationSmoothing);
+  trackPoints.forEach((point, i) => {
+    point.smoothedElevation = smoothedElevations[i];
+  });
+  const { gain, loss } = calculateGainLoss(smoothedElevations, elevationThreshold);
+  const { maxGrade, averageGrade } = calculateGrades(trackPoints, smoothedElevations, gradeInterval);
+  const climbs = detectClimbs(trackPoints, smoothedElevations, {
+    dropTolerance: climbDropTolerance,
+    minGain: minClimbGain,
+    minGrade: minClimbGrade
+  });
+  const totalElevationGain = gain * METERS_TO_FEET;
+  const totalElevationLoss = loss * METERS_TO_FEET;
+
   // Convert meters to feet for elevation
   if (minElevation !== Infinity) {
-    totalElevationGain = totalElevationGain * 3.28084; // meters to feet
-    minElevation = minElevation * 3.28084;
-    maxElevation = maxElevation * 3.28084;
+    minElevation = minElevation * METERS_TO_FEET;
+    maxElevation = maxElevation * METERS_TO_FEET;
   } else {
     minElevation = 0;
     maxElevation = 0;
@@ -86,14 +447,257 @@ export function parseGPX(gpxText) {
   return {
     trackPoints,
     bounds,
-    name: doc.querySelector('name')?.textContent || 'Route',
+    name,
     statistics: {
       totalDistance: totalDistance,
       totalElevationGain: totalElevationGain,
+      totalElevationLoss: totalElevationLoss,
+      maxGrade: maxGrade,
+      averageGrade: averageGrade,
+      climbs: climbs,
       maxSpeed: maxSpeed,
       maxSpeedPoint: maxSpeedPoint,
       minElevation: minElevation,
-      maxElevation: maxElevation
+      maxElevation: maxElevation,
+      movingTime: movingTime,
+      elapsedTime: elapsedTime,
+      averageSpeed: averageSpeed,
+      stops: stops,
+      sensors: summarizeSensors(trackPoints)
+    }
+  };
+}
+
+// Position on the track at `time` (Date, ISO string or ms), linearly
+// interpolated between the surrounding timed track points. Inside a recording
+// gap longer than `maxGapSeconds` (or beyond either end of the track) the
+// nearest track point is used if it is within `maxGapSeconds`; otherwise null.
+export function interpolatePosition(trackPoints, time, maxGapSeconds = 300) {
+  const target = new Date(time).getTime();
+  if (Number.isNaN(target)) return null;
+
+  const timed = trackPoints.filter(point => point.time);
+  if (timed.length === 0) return null;
+
+  const maxGap = maxGapSeconds * 1000;
+  const timeOf = point => new Date(point.time).getTime();
+  const position = point => ({ lat: point.lat, lng: point.lng });
+
+  const first = timed[0];
+  const last = timed[timed.length - 1];
+  if (target <= timeOf(first)) return timeOf(first) - target <= maxGap ? position(first) : null;
+  if (target >= timeOf(last)) return target - timeOf(last) <= maxGap ? position(last) : null;
+
+  // Binary search for the first point at or after the target time
+  let low = 0;
+  let high = timed.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (timeOf(timed[mid]) < target) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  const after = timed[low];
+  const before = timed[low - 1];
+  const gap = timeOf(after) - timeOf(before);
+
+  if (gap <= maxGap) {
+    const t = gap > 0 ? (target - timeOf(before)) / gap : 0;
+    return {
+      lat: before.lat + t * (after.lat - before.lat),
+      lng: before.lng + t * (after.lng - before.lng)
+    };
+  }
+
+  if (target - timeOf(before) <= maxGap) return position(before);
+  if (timeOf(after) - target <= maxGap) return position(after);
+  return null;
+}
+
+// Perpendicular distance in meters from point p to segment a-b, using an
+// equirectangular projection (accurate enough at route scale)
+function perpendicularDistance(p, a, b) {
+  const metersPerDegree = 111320;
+  const cosLat = Math.cos(a.lat * Math.PI / 180);
+  const ax = a.lng * cosLat * metersPerDegree;
+  const ay = a.lat * metersPerDegree;
+  const bx = b.lng * cosLat * metersPerDegree - ax;
+  const by = b.lat * metersPerDegree - ay;
+  const px = p.lng * cosLat * metersPerDegree - ax;
+  const py = p.lat * metersPerDegree - ay;
+
+  const lengthSquared = bx * bx + by * by;
+  if (lengthSquared === 0) return Math.sqrt(px * px + py * py);
+
+  const t = Math.max(0, Math.min(1, (px * bx + py * by) / lengthSquared));
+  const dx = px - t * bx;
+  const dy = py - t * by;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// Douglas-Peucker simplification; returns the kept track points
+export function simplifyTrack(trackPoints, toleranceMeters = 5) {
+  if (trackPoints.length < 3) return trackPoints.slice();
+
+  const keep = new Uint8Array(trackPoints.length);
+  keep[0] = 1;
+  keep[trackPoints.length - 1] = 1;
+
+  // Iterative to avoid blowing the stack on long tracks
+  const stack = [[0, trackPoints.length - 1]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxDistance = 0;
+    let maxIndex = -1;
+
+    for (let i = start + 1; i < end; i++) {
+      const distance = perpendicularDistance(trackPoints[i], trackPoints[start], trackPoints[end]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxIndex !== -1 && maxDistance > toleranceMeters) {
+      keep[maxIndex] = 1;
+      stack.push([start, maxIndex], [maxIndex, end]);
     }
+  }
+
+  return trackPoints.filter((_, i) => keep[i]);
+}
+
+// Evenly spaced (by distance) elevation samples for charts. Each sample also
+// carries the grade (%) since the previous sample, measured on smoothed
+// elevations, and the seconds elapsed since the start of the track (null
+// without timestamps).
+export function buildElevationProfile(trackPoints, maxSamples = 300) {
+  const withElevation = trackPoints.filter(p => p.elevation !== null && p.elevation !== undefined);
+  if (withElevation.length === 0) return [];
+
+  const totalDistance = withElevation[withElevation.length - 1].distance;
+  const spacing = totalDistance / Math.max(1, maxSamples - 1);
+  const startTime = trackPoints[0]?.time ? new Date(trackPoints[0].time).getTime() : null;
+  const profile = [];
+  let nextDistance = 0;
+
+  withElevation.forEach((point, index) => {
+    if (point.distance >= nextDistance || index === withElevation.length - 1) {
+      const elevation = point.smoothedElevation ?? point.elevation;
+      const previous = profile[profile.length - 1];
+      const run = previous ? (point.distance - previous.distance) * 1609.34 : 0;
+
+      profile.push({
+        ...point,
+        grade: run > 0 ? (elevation - previous.gradeElevation) / run * 100 : 0,
+        gradeElevation: elevation,
+        elapsed: startTime !== null && point.time ? (new Date(point.time).getTime() - startTime) / 1000 : null
+      });
+      nextDistance = point.distance + spacing;
+    }
+  });
+
+  return profile;
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// Simplified [[lat, lng, distanceMiles], ...] for drawing, each segment
+// simplified on its own. `breaks` lists the indexes where a new segment starts
+// (left out for a single segment), so the client doesn't draw across gaps.
+function compactTrack(trackPoints, toleranceMeters) {
+  const track = [];
+  const breaks = [];
+  let start = 0;
+
+  for (let i = 1; i <= trackPoints.length; i++) {
+    if (i < trackPoints.length && trackPoints[i].segment === trackPoints[start].segment) continue;
+    if (track.length > 0) breaks.push(track.length);
+    for (const p of simplifyTrack(trackPoints.slice(start, i), toleranceMeters)) {
+      track.push([round(p.lat, 6), round(p.lng, 6), round(p.distance, 3)]);
+    }
+    start = i;
+  }
+
+  return breaks.length > 0 ? { track, breaks } : { track };
+}
+
+// One of a day's other tracks (see loadDayRouteData in routes.js): its name,
+// headline statistics and compact track
+export function buildTrackSummary(gpxData, { toleranceMeters = 5 } = {}) {
+  const { statistics } = gpxData;
+
+  return {
+    name: gpxData.name,
+    startTime: gpxData.trackPoints[0]?.time || null,
+    statistics: {
+      totalDistance: round(statistics.totalDistance, 3),
+      totalElevationGain: round(statistics.totalElevationGain, 1),
+      maxSpeed: round(statistics.maxSpeed, 2),
+      movingTime: Math.round(statistics.movingTime),
+      elapsedTime: Math.round(statistics.elapsedTime),
+      averageSpeed: round(statistics.averageSpeed, 2)
+    },
+    ...compactTrack(gpxData.trackPoints, toleranceMeters)
   };
-}
\ No newline at end of file
+}
+
+// Compact, precomputed representation of a parsed route for the client:
+//   track:   [[lat, lng, distanceMiles], ...] simplified for drawing and snapping photos
+//   breaks:  indexes in `track` where a new segment starts, when there are several
+//   startTime: ISO timestamp of the first track point (null without timestamps)
+//   profile: [[distanceMiles, elevationFeet, lat, lng, gradePercent, elapsedSeconds], ...]
+export function buildRouteData(gpxData, { toleranceMeters = 5, profileSamples = 300 } = {}) {
+  const { statistics } = gpxData;
+
+  return {
+    name: gpxData.name,
+    bounds: gpxData.bounds,
+    startTime: gpxData.trackPoints[0]?.time || null,
+    statistics: {
+      totalDistance: round(statistics.totalDistance, 3),
+      totalElevationGain: round(statistics.totalElevationGain, 1),
+      totalElevationLoss: round(statistics.totalElevationLoss, 1),
+      maxGrade: round(statistics.maxGrade, 1),
+      averageGrade: round(statistics.averageGrade, 1),
+      climbs: statistics.climbs.map(climb => ({
+        start: { lat: round(climb.start.lat, 6), lng: round(climb.start.lng, 6), distance: round(climb.start.distance, 3) },
+        end: { lat: round(climb.end.lat, 6), lng: round(climb.end.lng, 6), distance: round(climb.end.distance, 3) },
+        length: round(climb.length, 2),
+        gain: round(climb.gain, 1),
+        averageGrade: round(climb.averageGrade, 1),
+        category: climb.category,
+        track: simplifyTrack(climb.trackPoints, toleranceMeters).map(p => [round(p.lat, 6), round(p.lng, 6)])
+      })),
+      maxSpeed: round(statistics.maxSpeed, 2),
+      maxSpeedPoint: statistics.maxSpeedPoint
+        ? { lat: statistics.maxSpeedPoint.lat, lng: statistics.maxSpeedPoint.lng }
+        : null,
+      minElevation: round(statistics.minElevation, 1),
+      maxElevation: round(statistics.maxElevation, 1),
+      movingTime: Math.round(statistics.movingTime),
+      elapsedTime: Math.round(statistics.elapsedTime),
+      averageSpeed: round(statistics.averageSpeed, 2),
+      stops: statistics.stops.map(stop => ({
+        lat: round(stop.lat, 6),
+        lng: round(stop.lng, 6),
+        start: stop.start,
+        duration: Math.round(stop.duration)
+      })),
+      ...(Object.keys(statistics.sensors).length > 0 && { sensors: statistics.sensors })
+    },
+    ...compactTrack(gpxData.trackPoints, toleranceMeters),
+    profile: buildElevationProfile(gpxData.trackPoints, profileSamples)
+      .map(p => [
+        round(p.distance, 3),
+        round(p.elevation * METERS_TO_FEET, 1),
+        round(p.lat, 6),
+        round(p.lng, 6),
+        round(p.grade, 1),
+        p.elapsed !== null ? Math.round(p.elapsed) : null
+      ])
+  };
+}
@@ -0,0 +1,22 @@
+// Build-time reads of the photo manifests in public/. Node only.
+import fs from 'fs/promises';
+import path from 'path';
+import { getDayManifestPath } from '../data/trips.js';
+
+// The day's cover photo picked in the curation UI, as { url, alt }, or null
+export async function loadDayCover(trip, day) {
+  const manifestPath = getDayManifestPath(trip, day);
+  try {
+    const manifest = JSON.parse(await fs.readFile(path.join(process.cwd(), 'public', manifestPath), 'utf8'));
+    const cover = manifest.photos.find(photo => photo.id === manifest.cover);
+    if (!cover) return null;
+
+    return {
+      url: cover.variants?.medium?.jpeg || cover.posterUrl || cover.url,
+      alt: cover.alt || cover.caption || `Day ${day.day}`
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`No cover for ${manifestPath}: ${error.message}`);
+    return null;
+  }
+}
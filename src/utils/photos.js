@@ -24,42 +24,115 @@ export async function extractPhotoData(photoFiles) {
   return photos;
 }
 
-export function groupPhotosByLocation(photos, radiusMiles = 0.5) {
-  const groups = [];
-  const used = new Set();
+// Default clustering settings; `radiusMiles` and `timeWindowMinutes` can be
+// overridden per trip or day in src/data/trips.js
+export const DEFAULT_GROUPING = {
+  radiusMiles: 0.5,
+  timeWindowMinutes: 60,
+  minPhotos: 1
+};
 
-  const milesPerDegree = 69; // Approximate miles per degree of latitude/longitude
+function distanceMiles(lat1, lng1, lat2, lng2) {
+  const R = 3959; // Earth's radius in miles
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
 
-  for (let i = 0; i < photos.length; i++) {
-    if (used.has(i)) continue;
+function timeOf(photo) {
+  return photo.timestamp ? new Date(photo.timestamp).getTime() : null;
+}
 
-    const group = [photos[i]];
-    used.add(i);
+// Earliest first; untimed photos last; ties broken by id/name so the order
+// never depends on how the files were listed
+function comparePhotos(a, b) {
+  const timeA = timeOf(a);
+  const timeB = timeOf(b);
+  if (timeA !== timeB) {
+    if (timeA === null) return 1;
+    if (timeB === null) return -1;
+    return timeA - timeB;
+  }
+  return String(a.id ?? a.name ?? '').localeCompare(String(b.id ?? b.name ?? ''));
+}
 
-    for (let j = i + 1; j < photos.length; j++) {
-      if (used.has(j)) continue;
+// DBSCAN-style clustering on distance and time. Two photos are neighbours when
+// they are within `radiusMiles` of each other and taken within
+// `timeWindowMinutes` (photos without a timestamp match on distance alone), so
+// a stop visited twice hours apart yields two groups. Photos with at least
+// `minPhotos` neighbours (counting themselves) seed a cluster; the rest become
+// groups of their own. Untimed photos join a timed cluster but never extend it,
+// so they can't bridge two visits. Photos are visited in time order, so the
+// result does not depend on the input order. Returns arrays of photos, each
+// sorted by time.
+export function clusterPhotos(photos, options = {}) {
+  const { radiusMiles, timeWindowMinutes, minPhotos } = { ...DEFAULT_GROUPING, ...options };
+  const windowMs = timeWindowMinutes * 60 * 1000;
+  const points = [...photos].sort(comparePhotos);
+
+  const isNeighbour = (a, b) => {
+    if (distanceMiles(a.lat, a.lng, b.lat, b.lng) > radiusMiles) return false;
+    const timeA = timeOf(a);
+    const timeB = timeOf(b);
+    return timeA === null || timeB === null || Math.abs(timeA - timeB) <= windowMs;
+  };
+
+  const neighbours = points.map(point => {
+    const list = [];
+    points.forEach((other, j) => {
+      if (isNeighbour(point, other)) list.push(j);
+    });
+    return list;
+  });
 
-      const distance = Math.sqrt(
-        Math.pow((photos[i].lat - photos[j].lat) * milesPerDegree, 2) +
-        Math.pow((photos[i].lng - photos[j].lng) * milesPerDegree, 2)
-      );
+  const clusterOf = new Array(points.length).fill(-1);
+  const clusters = [];
 
-      if (distance <= radiusMiles) {
-        group.push(photos[j]);
-        used.add(j);
+  points.forEach((_, i) => {
+    if (clusterOf[i] !== -1 || neighbours[i].length < minPhotos) return;
+
+    const cluster = [];
+    const timedSeed = timeOf(points[i]) !== null;
+    clusterOf[i] = clusters.length;
+    const queue = [i];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      cluster.push(current);
+      // Only core photos extend the cluster; border photos just join it
+      if (neighbours[current].length < minPhotos) continue;
+      if (timedSeed && timeOf(points[current]) === null) continue;
+      for (const j of neighbours[current]) {
+        if (clusterOf[j] === -1) {
+          clusterOf[j] = clusters.length;
+          queue.push(j);
+        }
       }
     }
+    clusters.push(cluster);
+  });
 
-    const centerLat = group.reduce((sum, photo) => sum + photo.lat, 0) / group.length;
-    const centerLng = group.reduce((sum, photo) => sum + photo.lng, 0) / group.length;
+  // Photos that are in no cluster (noise) stand alone
+  points.forEach((_, i) => {
+    if (clusterOf[i] === -1) {
+      clusterOf[i] = clusters.length;
+      clusters.push([i]);
+    }
+  });
 
-    groups.push({
-      lat: centerLat,
-      lng: centerLng,
-      photos: group,
-      count: group.length
-    });
-  }
+  return clusters
+    .map(cluster => cluster.sort((a, b) => a - b))
+    .sort((a, b) => a[0] - b[0])
+    .map(cluster => cluster.map(i => points[i]));
+}
 
-  return groups;
-}
\ No newline at end of file
+export function groupPhotosByLocation(photos, radiusMiles = 0.5, timeWindowMinutes = DEFAULT_GROUPING.timeWindowMinutes) {
+  return clusterPhotos(photos, { radiusMiles, timeWindowMinutes }).map(group => ({
+    lat: group.reduce((sum, photo) => sum + photo.lat, 0) / group.length,
+    lng: group.reduce((sum, photo) => sum + photo.lng, 0) / group.length,
+    photos: group,
+    count: group.length
+  }));
+}
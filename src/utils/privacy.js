@@ -0,0 +1,161 @@
+// Privacy zones: circles around private places (home, a friend's house) that
+// photo positions and published tracks must not reveal. Zones are listed in
+// privacy-zones.json at the project root (not committed; see .gitignore), or
+// the file named by PRIVACY_ZONES_FILE:
+//
+//   [{ "name": "home", "lat": 37.77, "lng": -122.42, "radiusMiles": 0.5, "action": "hide" }]
+//
+// `action` is what happens to photos taken inside the zone: "hide" drops their
+// position, "fuzz" moves them to the center of a `fuzzMiles` grid cell
+// (default 1 mi). Tracks lose every point at the start and end of each
+// segment that lies inside any zone. Node only.
+import fs from 'fs';
+import path from 'path';
+
+const ACTIONS = ['hide', 'fuzz'];
+const MILES_PER_DEGREE = 69.05;
+
+function distanceMiles(lat1, lng1, lat2, lng2) {
+  const R = 3959; // Earth's radius in miles
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function checkZone(zone, index) {
+  const label = `Privacy zone ${zone?.name ?? index}`;
+  for (const key of ['lat', 'lng', 'radiusMiles']) {
+    if (typeof zone?.[key] !== 'number' || Number.isNaN(zone[key])) {
+      throw new Error(`${label}: ${key} must be a number`);
+    }
+  }
+  const action = zone.action ?? 'hide';
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`${label}: action must be one of ${ACTIONS.join(', ')}`);
+  }
+  return { ...zone, action };
+}
+
+// Checks each zone and fills in the default action
+export function parsePrivacyZones(zones, source = 'Privacy zones') {
+  if (!Array.isArray(zones)) {
+    throw new Error(`${source} must be an array of privacy zones`);
+  }
+  return zones.map(checkZone);
+}
+
+const DEFAULT_ZONES_FILE = 'privacy-zones.json';
+
+// Zones from `file` or PRIVACY_ZONES_FILE (relative to the working directory),
+// else from privacy-zones.json, or [] if that doesn't exist. A file that is
+// named but missing is an error, so a build meant to be trimmed (e.g. in CI)
+// can't publish untrimmed routes.
+export function loadPrivacyZones(file = process.env.PRIVACY_ZONES_FILE) {
+  const zonesFile = file || DEFAULT_ZONES_FILE;
+  let text;
+  try {
+    text = fs.readFileSync(path.resolve(zonesFile), 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    if (!file) return [];
+    throw new Error(`Privacy zones file ${zonesFile} not found`);
+  }
+
+  return parsePrivacyZones(JSON.parse(text), zonesFile);
+}
+
+export function findPrivacyZone(lat, lng, zones = []) {
+  return zones.find(zone => distanceMiles(lat, lng, zone.lat, zone.lng) <= zone.radiusMiles) || null;
+}
+
+// Where a position inside a zone may be shown: null for "hide", a grid cell
+// center for "fuzz". Every position in a cell maps to the same point, so many
+// photos around one place don't average out to it. Returns undefined when the
+// position is outside every zone.
+export function protectPosition(lat, lng, zones = []) {
+  const zone = findPrivacyZone(lat, lng, zones);
+  if (!zone) return undefined;
+  if (zone.action !== 'fuzz') return { zone, lat: null, lng: null };
+
+  const latStep = (zone.fuzzMiles || 1) / MILES_PER_DEGREE;
+  const cellLat = (Math.floor(lat / latStep) + 0.5) * latStep;
+  const lngStep = latStep / Math.cos(cellLat * Math.PI / 180);
+  const cellLng = (Math.floor(lng / lngStep) + 0.5) * lngStep;
+  return { zone, lat: cellLat, lng: cellLng };
+}
+
+// Indexes of the first and last points outside every zone
+function trimmedRange(points, inZone) {
+  let first = 0;
+  while (first < points.length && inZone(points[first])) first++;
+  let last = points.length - 1;
+  while (last >= first && inZone(points[last])) last--;
+  return { first, last };
+}
+
+// Consecutive runs of items that share a key, in order
+function runsBy(items, keyOf) {
+  const runs = [];
+  for (const item of items) {
+    const run = runs[runs.length - 1];
+    if (run && keyOf(run[0]) === keyOf(item)) {
+      run.push(item);
+    } else {
+      runs.push([item]);
+    }
+  }
+  return runs;
+}
+
+// Points of one segment without those at its start and end inside a zone
+function trimSegment(points, inZone) {
+  const { first, last } = trimmedRange(points, inZone);
+  return points.slice(first, last + 1);
+}
+
+// Track points ({ lat, lng, segment }, as read by track-import.js) without
+// those at the start and end of each segment that lie inside a zone. A pause
+// can end or start a segment at a private place, so every segment is trimmed.
+export function trimTrackPoints(trackPoints, zones) {
+  if (!zones?.length) return trackPoints;
+
+  const inZone = point => findPrivacyZone(point.lat, point.lng, zones) !== null;
+  return runsBy(trackPoints, point => point.segment).flatMap(points => trimSegment(points, inZone));
+}
+
+function pointPosition(element) {
+  return { lat: parseFloat(element.getAttribute('lat')), lng: parseFloat(element.getAttribute('lon')) };
+}
+
+// Drop the track points at the start and end of each <trkseg> (or of a <trk>
+// holding points directly) that lie inside a zone, as trimTrackPoints does for
+// the route data, and any waypoints inside one. Returns the GPX text unchanged
+// when no zone applies. Pass DOMParser and XMLSerializer from @xmldom/xmldom.
+export function trimGpx(gpxText, zones, { DOMParser, XMLSerializer }) {
+  if (!zones?.length) return gpxText;
+
+  const doc = new DOMParser().parseFromString(gpxText, 'text/xml');
+  const inZone = element => {
+    const { lat, lng } = pointPosition(element);
+    return findPrivacyZone(lat, lng, zones) !== null;
+  };
+
+  // Points grouped by the <trkseg> (or <trk>) that holds them
+  const segments = runsBy(Array.from(doc.getElementsByTagName('trkpt')), point => point.parentNode);
+  const removed = [
+    ...segments.flatMap(points => {
+      const kept = new Set(trimSegment(points, inZone));
+      return points.filter(point => !kept.has(point));
+    }),
+    ...Array.from(doc.getElementsByTagName('wpt')).filter(inZone)
+  ];
+  if (removed.length === 0) return gpxText;
+
+  // Declared bounds would still cover the trimmed ends
+  removed.push(...Array.from(doc.getElementsByTagName('bounds')));
+  removed.forEach(element => element.parentNode.removeChild(element));
+  return new XMLSerializer().serializeToString(doc);
+}
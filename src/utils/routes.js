@@ -0,0 +1,93 @@
+// Build-time loading of day routes: reads track files (GPX, TCX, FIT or
+// GeoJSON; see track-import.js) from public/ and turns them into the compact
+// route data served to the browser, trimmed to the privacy zones (see
+// privacy.js). Node only.
+import fs from 'fs/promises';
+import path from 'path';
+import { DOMParser } from '@xmldom/xmldom';
+import { analyzeTrack, buildRouteData, buildTrackSummary } from './gpx.js';
+import { readTrackFile } from './track-import.js';
+import { loadPrivacyZones, trimTrackPoints } from './privacy.js';
+
+// Line colors of a day's tracks in order; the first is the day's route. A
+// track's `color` in src/data/trips.js wins.
+export const TRACK_COLORS = ['#3b82f6', '#f97316', '#10b981', '#a855f7', '#ef4444', '#eab308'];
+
+// Parse each track file once per build, however many pages ask for it
+const tracksCache = new Map();
+const routeCache = new Map();
+
+function cacheKey(gpxFile, options) {
+  return `${gpxFile}|${JSON.stringify(options)}`;
+}
+
+// The parsed tracks of a file, or null (with a warning) if it has none
+function loadTracks(gpxFile, options) {
+  const key = cacheKey(gpxFile, options);
+  if (!tracksCache.has(key)) {
+    tracksCache.set(key, readTracks(gpxFile, options));
+  }
+  return tracksCache.get(key);
+}
+
+async function readTracks(gpxFile, options) {
+  // Outside the try: a broken zones file must fail the build, not skip routes
+  const zones = loadPrivacyZones();
+  try {
+    const data = await fs.readFile(path.join(process.cwd(), 'public', gpxFile));
+    const tracks = readTrackFile(gpxFile, data, { DOMParser })
+      .map(({ name, trackPoints }) => ({ name, trackPoints: trimTrackPoints(trackPoints, zones) }))
+      .filter(({ trackPoints }) => trackPoints.length > 0);
+    if (tracks.length === 0) {
+      throw new Error('missing track points');
+    }
+    return tracks.map(({ name, trackPoints }) => analyzeTrack(trackPoints, name, options));
+  } catch (error) {
+    console.warn(`No route data for ${gpxFile}: ${error.message}`);
+    return null;
+  }
+}
+
+// Route data for a track file's first track. `options` are passed through to
+// analyzeTrack (e.g. a trip's stopSpeedThreshold).
+export function loadRouteData(gpxFile, options = {}) {
+  const key = cacheKey(gpxFile, options);
+  if (!routeCache.has(key)) {
+    routeCache.set(key, loadTracks(gpxFile, options).then(tracks => tracks && buildRouteData(tracks[0])));
+  }
+  return routeCache.get(key);
+}
+
+// Route data for a day: its gpxFile's first track is the route (statistics,
+// elevation profile, photo placement), and with more than one track, `tracks`
+// lists them all, the route first. The others are the gpxFile's later tracks,
+// then each of the day's `tracks` ({ gpxFile, name, color }). Only the route
+// leaves out `track`, which is the route data's own.
+export async function loadDayRouteData(day, options = {}) {
+  const routeData = await loadRouteData(day.gpxFile, options);
+  if (!routeData) return null;
+
+  const tracks = [];
+  for (const source of [{ gpxFile: day.gpxFile }, ...(day.tracks || [])]) {
+    const parsed = await loadTracks(source.gpxFile, options);
+    for (const track of parsed || []) {
+      // A file with one track takes the configured name and color
+      const configured = parsed.length === 1 ? source : {};
+      tracks.push({ track, name: configured.name || track.name, color: configured.color });
+    }
+  }
+  if (tracks.length < 2) return routeData;
+
+  return {
+    ...routeData,
+    tracks: tracks.map(({ track, name, color }, index) => {
+      const { track: points, breaks, ...summary } = buildTrackSummary(track);
+      return {
+        ...summary,
+        name,
+        color: color || TRACK_COLORS[index % TRACK_COLORS.length],
+        ...(index > 0 && { track: points, ...(breaks && { breaks }) })
+      };
+    })
+  };
+}
@@ -0,0 +1,279 @@
+// Route import: reads GPX, TCX, FIT and GeoJSON files into the track points
+// parsed GPX has ({ lat, lng, elevation, time, segment } plus any SENSORS), so
+// every format gets the same statistics (see analyzeTrack in gpx.js). The
+// format is chosen by the file extension.
+import { analyzeTrack, addSensors, childText, localText, ownText, readGPXTracks } from './gpx.js';
+
+// --- TCX ---
+
+// Each <Activity> or <Course> is a track and each of its <Track>s a segment.
+// Courses have a <Name>; activities are named after the file.
+export function readTCXTracks(tcxText, options = {}) {
+  const doc = new (options.DOMParser || globalThis.DOMParser)().parseFromString(tcxText, 'application/xml');
+  const containers = [
+    ...Array.from(doc.getElementsByTagName('Activity')),
+    ...Array.from(doc.getElementsByTagName('Course'))
+  ];
+
+  return containers
+    .map(container => ({
+      name: ownText(container, 'Name'),
+      trackPoints: Array.from(container.getElementsByTagName('Track')).flatMap((track, segment) =>
+        Array.from(track.getElementsByTagName('Trackpoint'))
+          // Points recorded before a GPS fix have no position
+          .filter(point => childText(point, 'LatitudeDegrees') !== null)
+          .map(point => {
+            const elevation = childText(point, 'AltitudeMeters');
+            const heartRate = point.getElementsByTagName('HeartRateBpm')[0];
+            return addSensors({
+              lat: parseFloat(childText(point, 'LatitudeDegrees')),
+              lng: parseFloat(childText(point, 'LongitudeDegrees')),
+              elevation: elevation !== null ? parseFloat(elevation) : null,
+              time: childText(point, 'Time'),
+              segment
+            }, {
+              heartRate: heartRate ? childText(heartRate, 'Value') : null,
+              cadence: childText(point, 'Cadence'),
+              power: localText(point, 'Watts')
+            });
+          }))
+    }))
+    .filter(({ trackPoints }) => trackPoints.length > 0);
+}
+
+// --- GeoJSON ---
+
+// Per-coordinate properties, under the names togeojson and similar converters
+// use (`coordTimes`, or `coordinateProperties` with `times`, `heart`, ...)
+const GEOJSON_SENSOR_NAMES = {
+  heartRate: ['heartRates', 'heart'],
+  cadence: ['cadences', 'cad'],
+  power: ['powers', 'power'],
+  temperature: ['atemps', 'temperatures']
+};
+
+function geoJsonFeatures(geojson) {
+  if (geojson.type === 'FeatureCollection') return geojson.features || [];
+  if (geojson.type === 'Feature') return [geojson];
+  return [{ type: 'Feature', properties: {}, geometry: geojson }];
+}
+
+// Each LineString or MultiLineString feature is a track and each of its lines
+// a segment, named by its `name` property. Other geometries are ignored.
+export function readGeoJSONTracks(geojsonText) {
+  const geojson = JSON.parse(geojsonText);
+
+  return geoJsonFeatures(geojson)
+    .filter(feature => ['LineString', 'MultiLineString'].includes(feature.geometry?.type))
+    .map(({ geometry, properties = {} }) => {
+      const multi = geometry.type === 'MultiLineString';
+      const lines = multi ? geometry.coordinates : [geometry.coordinates];
+      const perCoordinate = properties.coordinateProperties || {};
+      // Values for the line's coordinates: arrays per line for MultiLineStrings
+      const valuesFor = (values, line) => (multi ? values?.[line] : values) || [];
+      const times = perCoordinate.times || properties.coordTimes;
+
+      return {
+        name: properties.name || null,
+        trackPoints: lines.flatMap((coordinates, segment) => coordinates.map(([lng, lat, elevation], index) => {
+          const sensors = {};
+          for (const [sensor, names] of Object.entries(GEOJSON_SENSOR_NAMES)) {
+            const values = names.map(name => perCoordinate[name]).find(Boolean);
+            sensors[sensor] = valuesFor(values, segment)[index];
+          }
+          return addSensors({
+            lat,
+            lng,
+            elevation: Number.isFinite(elevation) ? elevation : null,
+            time: valuesFor(times, segment)[index] || null,
+            segment
+          }, sensors);
+        }))
+      };
+    })
+    .filter(({ trackPoints }) => trackPoints.length > 0);
+}
+
+// --- FIT ---
+
+// Seconds from the Unix epoch to the FIT epoch, 1989-12-31T00:00:00Z
+const FIT_EPOCH = 631065600;
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+// FIT messages and fields used here (see the FIT SDK's Profile.xlsx)
+const FIT_RECORD = 20;
+const FIT_EVENT = 21;
+const FIT_COURSE = 31;
+const FIT_TIMESTAMP = 253;
+
+// Base types by number: DataView getter, size in bytes and the "invalid" value
+const FIT_BASE_TYPES = {
+  0x00: ['getUint8', 1, 0xFF],
+  0x01: ['getInt8', 1, 0x7F],
+  0x02: ['getUint8', 1, 0xFF],
+  0x83: ['getInt16', 2, 0x7FFF],
+  0x84: ['getUint16', 2, 0xFFFF],
+  0x85: ['getInt32', 4, 0x7FFFFFFF],
+  0x86: ['getUint32', 4, 0xFFFFFFFF],
+  0x88: ['getFloat32', 4, null],
+  0x89: ['getFloat64', 8, null],
+  0x0A: ['getUint8', 1, 0],
+  0x8B: ['getUint16', 2, 0],
+  0x8C: ['getUint32', 4, 0]
+};
+const FIT_STRING = 0x07;
+
+const hasValue = value => value !== null && value !== undefined;
+
+// One field value, or null when it is invalid, an array or a type not used here
+function readFitValue(view, offset, { size, type }, littleEndian) {
+  if (type === FIT_STRING) {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, size);
+    const end = bytes.indexOf(0);
+    return new TextDecoder().decode(end === -1 ? bytes : bytes.subarray(0, end)) || null;
+  }
+
+  const baseType = FIT_BASE_TYPES[type];
+  if (!baseType || baseType[1] !== size) return null;
+  const [getter, , invalid] = baseType;
+  const value = view[getter](offset, littleEndian);
+  return value === invalid || Number.isNaN(value) ? null : value;
+}
+
+// The messages of a FIT file as { number, fields: { fieldNumber: value } }.
+// Developer fields are skipped; the CRC is not checked.
+function readFitMessages(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (data.byteLength < 12 || new TextDecoder().decode(data.subarray(8, 12)) !== '.FIT') {
+    throw new Error('Not a FIT file');
+  }
+
+  const headerSize = view.getUint8(0);
+  const end = Math.min(headerSize + view.getUint32(4, true), data.byteLength);
+  const definitions = [];
+  const messages = [];
+  let timestamp = 0;
+  let offset = headerSize;
+
+  while (offset < end) {
+    const header = view.getUint8(offset++);
+
+    if (header & 0x40 && !(header & 0x80)) {
+      // Definition message: the layout of later data messages of a local type
+      const littleEndian = view.getUint8(offset + 1) === 0;
+      const number = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++, offset += 3) {
+        fields.push({ number: view.getUint8(offset), size: view.getUint8(offset + 1), type: view.getUint8(offset + 2) });
+      }
+      let developerSize = 0;
+      if (header & 0x20) {
+        const developerCount = view.getUint8(offset++);
+        for (let i = 0; i < developerCount; i++, offset += 3) developerSize += view.getUint8(offset + 1);
+      }
+      definitions[header & 0x0F] = { number, littleEndian, fields, developerSize };
+      continue;
+    }
+
+    // Data message, with a normal header or a compressed timestamp header
+    // (5 bits of seconds after the last full timestamp)
+    const compressed = Boolean(header & 0x80);
+    const definition = definitions[compressed ? (header >> 5) & 0x03 : header & 0x0F];
+    if (!definition) throw new Error(`FIT data message without a definition at byte ${offset - 1}`);
+
+    const fields = {};
+    for (const field of definition.fields) {
+      fields[field.number] = readFitValue(view, offset, field, definition.littleEndian);
+      offset += field.size;
+    }
+    offset += definition.developerSize;
+
+    if (compressed) {
+      const seconds = header & 0x1F;
+      timestamp += (seconds - (timestamp & 0x1F) + 0x20) % 0x20;
+      fields[FIT_TIMESTAMP] = timestamp;
+    } else if (hasValue(fields[FIT_TIMESTAMP])) {
+      timestamp = fields[FIT_TIMESTAMP];
+    }
+    messages.push({ number: definition.number, fields });
+  }
+
+  return messages;
+}
+
+// A FIT activity or course is one track of its `record` messages with a
+// position. Pausing the timer starts a new segment. Courses carry a name.
+export function readFITTracks(data) {
+  const trackPoints = [];
+  let name = null;
+  let segment = 0;
+  let paused = false;
+
+  for (const { number, fields } of readFitMessages(data)) {
+    if (number === FIT_COURSE) {
+      name = fields[5] || name;
+    } else if (number === FIT_EVENT) {
+      // Timer (event 0) stop or stop_all (types 1 and 4)
+      if (fields[0] === 0 && (fields[1] === 1 || fields[1] === 4)) paused = true;
+    } else if (number === FIT_RECORD && hasValue(fields[0]) && hasValue(fields[1])) {
+      if (paused && trackPoints.length > 0) segment++;
+      paused = false;
+
+      // Altitude is stored as (meters + 500) * 5
+      const altitude = fields[78] ?? fields[2];
+      trackPoints.push(addSensors({
+        lat: fields[0] * SEMICIRCLES_TO_DEGREES,
+        lng: fields[1] * SEMICIRCLES_TO_DEGREES,
+        elevation: hasValue(altitude) ? altitude / 5 - 500 : null,
+        time: hasValue(fields[FIT_TIMESTAMP]) ? new Date((fields[FIT_TIMESTAMP] + FIT_EPOCH) * 1000).toISOString() : null,
+        segment
+      }, {
+        heartRate: fields[3],
+        cadence: fields[4],
+        power: fields[7],
+        temperature: fields[13]
+      }));
+    }
+  }
+
+  return trackPoints.length > 0 ? [{ name, trackPoints }] : [];
+}
+
+// --- Any format ---
+
+const READERS = {
+  gpx: (data, options) => readGPXTracks(new TextDecoder().decode(data), options),
+  tcx: (data, options) => readTCXTracks(new TextDecoder().decode(data), options),
+  geojson: data => readGeoJSONTracks(new TextDecoder().decode(data)),
+  json: data => readGeoJSONTracks(new TextDecoder().decode(data)),
+  fit: data => readFITTracks(data)
+};
+
+export const TRACK_EXTENSIONS = Object.keys(READERS).map(format => `.${format}`);
+
+function extensionOf(fileName) {
+  const match = /\.([^./\\]+)$/.exec(fileName);
+  return match ? match[1].toLowerCase() : '';
+}
+
+// The { name, trackPoints } of each track in a file's contents (a Buffer or
+// Uint8Array), read by the format its extension names. Tracks without a name
+// of their own are named after the file. Pass `DOMParser` from @xmldom/xmldom
+// outside the browser.
+export function readTrackFile(fileName, data, options = {}) {
+  const reader = READERS[extensionOf(fileName)];
+  if (!reader) {
+    throw new Error(`Unsupported track format: ${fileName} (expected ${TRACK_EXTENSIONS.join(', ')})`);
+  }
+
+  const baseName = fileName.split(/[/\\]/).pop().replace(/\.[^.]+$/, '');
+  return reader(data, options).map(track => ({ ...track, name: track.name || baseName }));
+}
+
+// One parsed route (as parseGPX returns) per track of a file; `options` are
+// readTrackFile's and analyzeTrack's
+export function parseTrackFile(fileName, data, options = {}) {
+  return readTrackFile(fileName, data, options).map(({ name, trackPoints }) => analyzeTrack(trackPoints, name, options));
+}
@@ -0,0 +1,203 @@
+// Reads creation time, location and duration from QuickTime (.mov) and
+// MP4 metadata atoms. Node only.
+import fs from 'fs/promises';
+
+// Seconds between the QuickTime epoch (1904-01-01) and the Unix epoch
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+// Largest moov atom read; even hours of video have a few MB of sample tables
+const MAX_MOOV_SIZE = 64 * 1024 * 1024;
+
+// Atoms whose payload is a list of child atoms
+const CONTAINER_ATOMS = new Set(['moov', 'trak', 'mdia', 'udta', 'meta', 'ilst']);
+
+export const VIDEO_MIME_TYPES = {
+  '.mov': 'video/quicktime',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.avi': 'video/x-msvideo'
+};
+
+// Parse an ISO 6709 location string such as "+37.7749-122.4194+010.000/"
+export function parseISO6709(value) {
+  const match = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/.exec(value.trim());
+  if (!match) return null;
+
+  const lat = parseFloat(match[1]);
+  const lng = parseFloat(match[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+  return {
+    lat,
+    lng,
+    altitude: match[3] !== undefined ? parseFloat(match[3]) : null
+  };
+}
+
+// Iterate the atoms in buffer[start, end)
+function* atoms(buffer, start = 0, end = buffer.length) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) return;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) return;
+
+    yield { type, start: offset + headerSize, end: offset + size };
+    offset += size;
+  }
+}
+
+// Find a nested atom by path, e.g. ['moov', 'udta', '©xyz']
+function findAtom(buffer, path, start = 0, end = buffer.length) {
+  for (const atom of atoms(buffer, start, end)) {
+    if (atom.type !== path[0]) continue;
+    if (path.length === 1) return atom;
+
+    // ISO 'meta' is a full box (4 bytes of version/flags); QuickTime 'meta' is not
+    let childStart = atom.start;
+    if (atom.type === 'meta' && buffer.toString('latin1', atom.start + 4, atom.start + 8) !== 'hdlr') {
+      childStart += 4;
+    }
+    if (CONTAINER_ATOMS.has(atom.type)) {
+      const found = findAtom(buffer, path.slice(1), childStart, atom.end);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+// Movie header: creation time (UTC) and duration in seconds
+function readMovieHeader(buffer, moov) {
+  const mvhd = findAtom(buffer, ['mvhd'], moov.start, moov.end);
+  if (!mvhd) return {};
+
+  const version = buffer.readUInt8(mvhd.start);
+  let creation;
+  let timescale;
+  let duration;
+  if (version === 1) {
+    creation = Number(buffer.readBigUInt64BE(mvhd.start + 4));
+    timescale = buffer.readUInt32BE(mvhd.start + 20);
+    duration = Number(buffer.readBigUInt64BE(mvhd.start + 24));
+  } else {
+    creation = buffer.readUInt32BE(mvhd.start + 4);
+    timescale = buffer.readUInt32BE(mvhd.start + 12);
+    duration = buffer.readUInt32BE(mvhd.start + 16);
+  }
+
+  return {
+    // Many cameras leave the creation time at zero
+    creationTime: creation > 0 ? new Date((creation - QUICKTIME_EPOCH_OFFSET) * 1000) : null,
+    duration: timescale > 0 ? duration / timescale : null
+  };
+}
+
+// QuickTime user data text atom (©xyz, ©day): 2-byte length, 2-byte language, text
+function readUserDataText(buffer, moov, type) {
+  const atom = findAtom(buffer, ['udta', type], moov.start, moov.end);
+  if (!atom || atom.end - atom.start < 4) return null;
+
+  const length = buffer.readUInt16BE(atom.start);
+  return buffer.toString('utf8', atom.start + 4, Math.min(atom.end, atom.start + 4 + length));
+}
+
+// QuickTime metadata (moov/meta with keys + ilst), as written by iPhones
+function readMetadataKeys(buffer, moov) {
+  const values = {};
+  const keysAtom = findAtom(buffer, ['meta', 'keys'], moov.start, moov.end);
+  const ilst = findAtom(buffer, ['meta', 'ilst'], moov.start, moov.end);
+  if (!keysAtom || !ilst) return values;
+
+  // keys: version/flags, entry count, then [size, namespace, name] entries
+  const keys = [];
+  let offset = keysAtom.start + 8;
+  while (offset + 8 <= keysAtom.end) {
+    const size = buffer.readUInt32BE(offset);
+    if (size < 8) break;
+    keys.push(buffer.toString('utf8', offset + 8, offset + size));
+    offset += size;
+  }
+
+  // ilst items are typed by their 1-based key index and hold a 'data' atom
+  for (const item of atoms(buffer, ilst.start, ilst.end)) {
+    const key = keys[buffer.readUInt32BE(item.start - 4) - 1];
+    const data = findAtom(buffer, ['data'], item.start, item.end);
+    if (key && data && data.end - data.start > 8) {
+      values[key] = buffer.toString('utf8', data.start + 8, data.end);
+    }
+  }
+
+  return values;
+}
+
+// Load just the moov atom; it may come before or after the (large) media data.
+// Returns null if there is none or the file ends inside it.
+async function readMoovAtom(filePath) {
+  const file = await fs.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await file.stat();
+    const header = Buffer.alloc(16);
+    let offset = 0;
+
+    while (offset + 8 <= fileSize) {
+      await file.read(header, 0, 16, offset);
+      let size = header.readUInt32BE(0);
+      const type = header.toString('latin1', 4, 8);
+      let headerSize = 8;
+      if (size === 1) {
+        size = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = fileSize - offset;
+      }
+      if (size < headerSize || offset + size > fileSize) return null;
+
+      if (type === 'moov') {
+        if (size > MAX_MOOV_SIZE) {
+          throw new Error(`moov atom of ${size} bytes is larger than ${MAX_MOOV_SIZE}`);
+        }
+        const moov = Buffer.alloc(size - headerSize);
+        await file.read(moov, 0, moov.length, offset + headerSize);
+        return moov;
+      }
+      offset += size;
+    }
+
+    return null;
+  } finally {
+    await file.close();
+  }
+}
+
+// Creation time, location and duration of a MOV/MP4 file. Fields are null
+// when the file does not carry them (AVI files never do).
+export async function readVideoMetadata(filePath) {
+  const metadata = { creationTime: null, location: null, duration: null };
+
+  const buffer = await readMoovAtom(filePath);
+  if (!buffer) return metadata;
+  const moov = { start: 0, end: buffer.length };
+
+  const header = readMovieHeader(buffer, moov);
+  const keys = readMetadataKeys(buffer, moov);
+  metadata.duration = header.duration ?? null;
+
+  // Prefer the local-time-with-offset creation date over the movie header
+  const creationDate = keys['com.apple.quicktime.creationdate'] || readUserDataText(buffer, moov, '©day');
+  const parsedDate = creationDate ? new Date(creationDate.replace(/([+-]\d{2})(\d{2})$/, '$1:$2')) : null;
+  metadata.creationTime = parsedDate && !Number.isNaN(parsedDate.getTime()) ? parsedDate : header.creationTime ?? null;
+
+  const location = keys['com.apple.quicktime.location.ISO6709'] || readUserDataText(buffer, moov, '©xyz');
+  metadata.location = location ? parseISO6709(location) : null;
+
+  return metadata;
+}
@@ -0,0 +1,585 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import exifr from 'exifr';
+import sharp from 'sharp';
+import { PhotoProcessor, contributorOf, describePhotoTags, pairCompanions } from '../scripts/build-photos.js';
+import { PROCESSING_VERSION, validateManifest } from '../scripts/manifest.js';
+import { FIXTURES_DIR, createJpeg, createMovie, makeTempDir, quiet } from './helpers.js';
+
+// EXIF capture times carry no zone and are read as local time
+process.env.TZ = 'UTC';
+
+// A processor writing to local storage in `dir`, geotagging against the
+// fixture track, with a stub geocoder that records its lookups
+function createProcessor(dir, { privacy = { zones: [] }, heic } = {}) {
+  const processor = new PhotoProcessor({
+    storage: { type: 'local', dir: path.join(dir, 'out') },
+    photos: {
+      sourceDir: path.join(dir, 'photos'),
+      manifestPath: path.join(dir, 'photos-manifest.json'),
+      gpxFile: path.join(FIXTURES_DIR, 'climb-and-stop.gpx'),
+      maxWidth: 200,
+      quality: 70,
+      formats: [],
+      derivatives: { thumb: 40, medium: 100 }
+    },
+    processing: { uploadRetries: 0 },
+    privacy,
+    heic
+  });
+
+  processor.geocoded = [];
+  processor.geocoder = {
+    reverse: async (lat, lng, { groupId } = {}) => {
+      processor.geocoded.push(groupId);
+      return `Near ${lat.toFixed(3)}, ${lng.toFixed(3)}`;
+    },
+    saveCache: async () => {}
+  };
+  return processor;
+}
+
+async function storedFiles(dir) {
+  try {
+    return (await fs.readdir(path.join(dir, 'out', 'photos'))).sort();
+  } catch {
+    return [];
+  }
+}
+
+async function setup(t, options) {
+  quiet(t);
+  const dir = await makeTempDir(t);
+  const photosDir = path.join(dir, 'photos');
+  const processor = createProcessor(dir, options);
+  const photo = await createJpeg(path.join(photosDir, 'IMG_0001.JPG'), {
+    lat: 36.5, lng: -121.9, time: '2025:09:09 16:00:00', color: 1
+  });
+  return { dir, photosDir, processor, photo };
+}
+
+test('processPhoto uploads derivatives under content-hash keys', async (t) => {
+  const { dir, processor, photo } = await setup(t);
+
+  const data = await processor.processPhoto(photo);
+
+  assert.equal(data.error, null);
+  assert.equal(data.processed, true);
+  assert.equal(data.originalName, 'IMG_0001.JPG');
+  assert.equal(data.id, data.fileHash.substring(0, 16));
+  assert.equal(data.processingVersion, PROCESSING_VERSION);
+  assert.ok(Math.abs(data.lat - 36.5) < 1e-6);
+  assert.ok(Math.abs(data.lng + 121.9) < 1e-6);
+  assert.equal(new Date(data.timestamp).toISOString(), '2025-09-09T16:00:00.000Z');
+
+  assert.equal(data.url, `/photos/${data.fileHash}-full.jpg`);
+  assert.deepEqual(Object.keys(data.variants), ['thumb', 'medium', 'full']);
+  assert.equal(data.variants.thumb.width, 40);
+  assert.deepEqual(
+    await storedFiles(dir),
+    ['full', 'medium', 'thumb'].map(size => `${data.fileHash}-${size}.jpg`)
+  );
+  assert.deepEqual(data.objects.map(object => object.key).sort(), (await storedFiles(dir)).map(name => `photos/${name}`));
+});
+
+test('processPhoto strips EXIF from derivatives unless told to keep it', async (t) => {
+  const { dir, photosDir, processor } = await setup(t);
+  const photo = await createJpeg(path.join(photosDir, 'IMG_0009.JPG'), {
+    lat: 36.5, lng: -121.9, time: '2025:09:09 16:00:00', serial: 'SN-1234', color: 9
+  });
+  const stripped = await processor.processPhoto(photo);
+  const strippedExif = await exifr.parse(path.join(dir, 'out', 'photos', `${stripped.fileHash}-full.jpg`));
+  assert.equal(strippedExif, undefined);
+
+  const keeping = createProcessor(dir, { privacy: { zones: [], exif: { keep: ['orientation', 'time', 'camera'] } } });
+  const kept = await keeping.processPhoto(photo, { force: true });
+  const keptExif = await exifr.parse(path.join(dir, 'out', 'photos', `${kept.fileHash}-thumb.jpg`), { reviveValues: false });
+  assert.equal(keptExif.DateTimeOriginal, '2025:09:09 16:00:00');
+  assert.equal(keptExif.Make, 'Test Camera');
+  assert.equal(keptExif.BodySerialNumber, undefined);
+  assert.equal(keptExif.latitude, undefined);
+  assert.equal(keptExif.GPSLatitude, undefined);
+
+  const unknown = createProcessor(dir, { privacy: { zones: [], exif: { keep: ['everything'] } } });
+  assert.match((await unknown.processPhoto(photo, { force: true })).error, /Unknown privacy.exif.keep group: everything/);
+});
+
+test('processPhoto records the embedded caption, credit and camera settings', async (t) => {
+  const { photosDir, processor } = await setup(t);
+  const xmp = `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:Iptc4xmpCore="http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/">
+<dc:description><rdf:Alt><rdf:li xml:lang="x-default">Bixby Creek &amp; the bridge</rdf:li></rdf:Alt></dc:description>
+<Iptc4xmpCore:AltTextAccessibility><rdf:Alt><rdf:li xml:lang="x-default">A concrete arch bridge over a canyon</rdf:li></rdf:Alt></Iptc4xmpCore:AltTextAccessibility>
+</rdf:Description></rdf:RDF></x:xmpmeta>`;
+  const photo = await createJpeg(path.join(photosDir, 'IMG_0010.JPG'), {
+    time: '2025:09:09 16:00:00',
+    tags: {
+      IFD0: { Model: 'Test Camera X100', ImageDescription: 'Overwritten by XMP', Artist: 'Sam Rider' },
+      IFD2: { LensModel: '23mm F2', FocalLength: '23/1', FNumber: '28/10', ExposureTime: '1/250', ISOSpeedRatings: '200' }
+    },
+    xmp,
+    color: 10
+  });
+
+  const data = await processor.processPhoto(photo);
+
+  assert.equal(data.error, null);
+  assert.deepEqual(data.embedded, {
+    caption: 'Bixby Creek & the bridge',
+    credit: 'Sam Rider',
+    alt: 'A concrete arch bridge over a canyon'
+  });
+  assert.deepEqual([data.caption, data.credit, data.alt], [data.embedded.caption, data.embedded.credit, data.embedded.alt]);
+  assert.deepEqual(data.camera, {
+    make: 'Test Camera', model: 'Test Camera X100', lens: '23mm F2', focalLength: 23, fNumber: 2.8, exposureTime: 0.004, iso: 200
+  });
+});
+
+test('describePhotoTags skips placeholder descriptions and empty values', () => {
+  assert.deepEqual(describePhotoTags({ ImageDescription: 'OLYMPUS DIGITAL CAMERA  ', Artist: '', FNumber: 0 }), { embedded: {}, camera: {} });
+  assert.deepEqual(
+    describePhotoTags({ Caption: 'From IPTC', creator: ['Ann', 'Bo'], ImageDescription: 'From EXIF', ISO: [400, 0] }),
+    { embedded: { caption: 'From IPTC', credit: 'Ann, Bo' }, camera: { iso: 400 } }
+  );
+});
+
+const sharpReadsHeic = sharp.format.heif.input.fileSuffix.includes('.heic');
+
+test('processPhoto converts HEIC originals and reads their EXIF', { skip: sharpReadsHeic && 'sharp decodes HEIC itself' }, async (t) => {
+  quiet(t);
+  const dir = await makeTempDir(t);
+  // Stands in for heif-dec: copies the input and logs that it ran
+  const converter = path.join(dir, 'convert.cjs');
+  const log = path.join(dir, 'converted.log');
+  await fs.writeFile(converter, `const fs = require('fs');
+fs.copyFileSync(process.argv[2], process.argv[3]);
+fs.appendFileSync(process.argv[4], process.argv[2] + '\\n');
+`);
+  const processor = createProcessor(dir, {
+    heic: { converters: ['heif-missing', { command: process.execPath, args: [converter, '{input}', '{output}', log] }] }
+  });
+  assert.match((await processor.processPhoto(await createJpeg(path.join(dir, 'photos', 'a.heic')))).error, /Unknown HEIC converter: heif-missing/);
+
+  processor.config.heic.converters = [{ command: path.join(dir, 'missing-tool'), args: [] }, ...processor.config.heic.converters.slice(1)];
+  // A JPEG under a .heic name: exifr and the stand-in converter don't mind
+  const photo = await createJpeg(path.join(dir, 'photos', 'IMG_0100.HEIC'), { lat: 36.5, lng: -121.9, time: '2025:09:09 16:00:00' });
+  const data = await processor.processPhoto(photo, { force: true });
+
+  assert.equal(data.error, null);
+  assert.equal(data.variants.full.width, 200);
+  assert.ok(Math.abs(data.lat - 36.5) < 1e-6);
+  assert.equal((await fs.readFile(log, 'utf8')).trim(), photo);
+
+  processor.config.heic.converters = [{ command: path.join(dir, 'missing-tool'), args: [] }];
+  assert.match((await processor.processPhoto(photo, { force: true })).error, /No HEIC converter found/);
+});
+
+test('pairCompanions folds RAW files and Live Photo videos into their stills', () => {
+  const { files, companions, unpaired } = pairCompanions([
+    '/p/IMG_0001.HEIC', '/p/IMG_0001.MOV', '/p/IMG_0002.jpg', '/p/IMG_0002.CR3',
+    '/p/IMG_0003.MOV', '/p/IMG_0004.dng', '/p/other/IMG_0002.mov'
+  ]);
+
+  assert.deepEqual(files, ['/p/IMG_0001.HEIC', '/p/IMG_0002.jpg', '/p/IMG_0003.MOV', '/p/other/IMG_0002.mov']);
+  assert.deepEqual(companions.get('/p/IMG_0001.HEIC'), [{ kind: 'live', path: '/p/IMG_0001.MOV' }]);
+  assert.deepEqual(companions.get('/p/IMG_0002.jpg'), [{ kind: 'raw', path: '/p/IMG_0002.CR3' }]);
+  assert.deepEqual(unpaired, ['/p/IMG_0004.dng']);
+});
+
+test('processPhoto skips unchanged photos', async (t) => {
+  const { processor, photo } = await setup(t);
+  const data = await processor.processPhoto(photo);
+  processor.upsertPhoto(data);
+
+  assert.equal(await processor.processPhoto(photo), data);
+
+  // Touching the file without changing it only updates the recorded mtime
+  const later = new Date(Date.now() + 60000);
+  await fs.utimes(photo, later, later);
+  assert.equal(await processor.processPhoto(photo), data);
+  assert.equal(data.mtime, Math.round((await fs.stat(photo)).mtimeMs));
+});
+
+test('processPhoto skips copies of a photo that is still present', async (t) => {
+  const { dir, photosDir, processor, photo } = await setup(t);
+  const data = await processor.processPhoto(photo);
+  processor.upsertPhoto(data);
+  const copy = path.join(photosDir, 'copy', 'IMG_0001 copy.JPG');
+  await fs.mkdir(path.dirname(copy));
+  await fs.copyFile(photo, copy);
+  const stored = await storedFiles(dir);
+
+  processor.currentFileNames = new Set(['IMG_0001.JPG', 'IMG_0001 copy.JPG']);
+  assert.equal(await processor.processPhoto(copy), data);
+  assert.equal(data.originalName, 'IMG_0001.JPG');
+  assert.deepEqual(await storedFiles(dir), stored);
+
+  // A photo edited into a copy of another drops its own, outdated entry
+  const other = await createJpeg(path.join(photosDir, 'IMG_0002.JPG'), { time: '2025:09:09 16:00:30', color: 2 });
+  processor.upsertPhoto(await processor.processPhoto(other));
+  await fs.copyFile(photo, other);
+  processor.currentFileNames = new Set(['IMG_0001.JPG', 'IMG_0002.JPG']);
+  assert.equal(await processor.processPhoto(other), data);
+  assert.deepEqual(processor.manifest.photos.map(p => p.originalName), ['IMG_0001.JPG']);
+});
+
+test('processPhoto keeps the entry of a renamed photo', async (t) => {
+  const { dir, photosDir, processor, photo } = await setup(t);
+  const data = await processor.processPhoto(photo);
+  processor.upsertPhoto(data);
+  const stored = await storedFiles(dir);
+
+  const renamed = path.join(photosDir, 'lunch.jpg');
+  await fs.rename(photo, renamed);
+  processor.currentFileNames = new Set(['lunch.jpg']);
+
+  const result = await processor.processPhoto(renamed);
+  assert.equal(result, data);
+  assert.equal(result.originalName, 'lunch.jpg');
+  assert.deepEqual(await storedFiles(dir), stored);
+});
+
+test('processPhoto re-processes edited and outdated photos under the same id', async (t) => {
+  const { dir, photosDir, processor, photo } = await setup(t);
+  const original = await processor.processPhoto(photo);
+  processor.upsertPhoto(original);
+  const unedited = path.join(dir, 'unedited.jpg');
+  await fs.copyFile(photo, unedited);
+
+  await createJpeg(photo, { lat: 36.5, lng: -121.9, time: '2025:09:09 16:00:00', color: 99 });
+  const edited = await processor.processPhoto(photo);
+  assert.notEqual(edited, original);
+  assert.equal(edited.id, original.id);
+  assert.notEqual(edited.fileHash, original.fileHash);
+  assert.notEqual(edited.url, original.url);
+  processor.upsertPhoto(edited);
+  assert.equal(processor.manifest.photos.length, 1);
+
+  // The unedited file added back under another name would take the id the
+  // edited photo kept, so it gets one of its own
+  const restored = path.join(photosDir, 'IMG_0001 original.JPG');
+  await fs.copyFile(unedited, restored);
+  const copy = await processor.processPhoto(restored);
+  assert.equal(copy.id, `${original.id}-2`);
+  processor.upsertPhoto(copy);
+  assert.deepEqual(processor.manifest.photos.map(p => p.originalName), ['IMG_0001.JPG', 'IMG_0001 original.JPG']);
+  assert.throws(() => processor.upsertPhoto({ ...copy, originalName: 'other.jpg' }), /already used by IMG_0001 original\.JPG/);
+  processor.manifest.photos.pop();
+
+  edited.processingVersion = PROCESSING_VERSION - 1;
+  const upgraded = await processor.processPhoto(photo);
+  assert.notEqual(upgraded, edited);
+  assert.equal(upgraded.id, original.id);
+  assert.equal(upgraded.processingVersion, PROCESSING_VERSION);
+});
+
+test('photos on the equator or the prime meridian keep their position', async (t) => {
+  const { photosDir, processor } = await setup(t);
+  await processor.loadTrack();
+  // Taken while the track was recording, so a missing position would be interpolated
+  const photo = await createJpeg(path.join(photosDir, 'IMG_0020.JPG'), { lat: 0, lng: 9.5, time: '2025:09:09 16:00:10', color: 20 });
+
+  const data = await processor.processPhoto(photo);
+  processor.geotagFromTrack([data]);
+  assert.deepEqual([data.lat, data.lng, data.positionSource], [0, 9.5, 'exif']);
+  assert.deepEqual((await processor.groupPhotos([data])).map(group => group.photoIds), [[data.id]]);
+});
+
+test('processPhoto re-processes with force and retries failed photos', async (t) => {
+  const { processor, photo } = await setup(t);
+  const data = await processor.processPhoto(photo);
+  processor.upsertPhoto(data);
+
+  const forced = await processor.processPhoto(photo, { force: true });
+  assert.notEqual(forced, data);
+  assert.equal(forced.id, data.id);
+
+  data.error = 'Upload failed';
+  assert.notEqual(await processor.processPhoto(photo), data);
+});
+
+test('processPhoto records failures instead of throwing', async (t) => {
+  const { photosDir, processor } = await setup(t);
+  const broken = path.join(photosDir, 'broken.jpg');
+  await fs.writeFile(broken, 'not a jpeg');
+
+  const data = await processor.processPhoto(broken);
+  assert.equal(data.processed, false);
+  assert.ok(data.error);
+});
+
+test('run builds, geotags, groups and prunes the manifest', async (t) => {
+  const { dir, photosDir, processor } = await setup(t);
+  t.mock.method(process, 'exit', code => {
+    throw new Error(`process.exit(${code})`);
+  });
+
+  await createJpeg(path.join(photosDir, 'IMG_0002.JPG'), { lat: 36.501, lng: -121.9, time: '2025:09:09 16:00:30', color: 2 });
+  // No GPS: placed on the track at 16:00:10, halfway between its first two points
+  await createJpeg(path.join(photosDir, 'IMG_0003.JPG'), { time: '2025:09:09 16:00:10', color: 3 });
+  // Taken at the far end of the ride
+  await createJpeg(path.join(photosDir, 'IMG_0004.JPG'), { lat: 36.52, lng: -121.9, time: '2025:09:09 16:30:00', color: 4 });
+  // Outside the track's time range, so it stays unlocated
+  await createJpeg(path.join(photosDir, 'IMG_0005.JPG'), { time: '2025:09:10 09:00:00', color: 5 });
+
+  await processor.run();
+
+  const manifest = JSON.parse(await fs.readFile(path.join(dir, 'photos-manifest.json'), 'utf8'));
+  assert.deepEqual(validateManifest(manifest), []);
+  assert.equal(manifest.revision, 1);
+  assert.equal(manifest.photos.length, 5);
+
+  const byName = Object.fromEntries(manifest.photos.map(photo => [photo.originalName, photo]));
+  assert.equal(byName['IMG_0001.JPG'].positionSource, 'exif');
+  assert.equal(byName['IMG_0003.JPG'].positionSource, 'gpx-interpolated');
+  assert.ok(Math.abs(byName['IMG_0003.JPG'].lat - 36.5005) < 1e-6);
+  assert.equal(byName['IMG_0005.JPG'].lat, null);
+
+  const groupNames = manifest.groups.map(group => group.photoIds.map(id => manifest.photos.find(p => p.id === id).originalName));
+  assert.deepEqual(groupNames, [['IMG_0001.JPG', 'IMG_0003.JPG', 'IMG_0002.JPG'], ['IMG_0004.JPG']]);
+  assert.equal(manifest.groups[0].locationName, 'Near 36.500, -121.900');
+  assert.equal(processor.geocoded.length, 2);
+
+  // Removing a photo drops it from the manifest and keeps the group's id;
+  // a RAW file and a Live Photo video next to a photo are recorded with it
+  await fs.rm(path.join(photosDir, 'IMG_0002.JPG'));
+  await fs.writeFile(path.join(photosDir, 'IMG_0001.MOV'), 'live photo video');
+  await fs.writeFile(path.join(photosDir, 'IMG_0001.DNG'), 'raw');
+  const rerun = createProcessor(dir);
+  await rerun.run();
+
+  const updated = JSON.parse(await fs.readFile(path.join(dir, 'photos-manifest.json'), 'utf8'));
+  assert.deepEqual(validateManifest(updated), []);
+  assert.equal(updated.revision, 2);
+  assert.equal(updated.photos.length, 4);
+  assert.equal(updated.photos.some(photo => photo.originalName === 'IMG_0002.JPG'), false);
+  const first = updated.photos.find(photo => photo.originalName === 'IMG_0001.JPG');
+  assert.deepEqual(first.companions.map(companion => companion.originalName).sort(), ['IMG_0001.DNG', 'IMG_0001.MOV']);
+  assert.deepEqual(updated.groups.map(group => group.id), manifest.groups.map(group => group.id));
+  assert.deepEqual(rerun.geocoded, manifest.groups.map(group => group.id));
+});
+
+test('run keeps the published entry of a photo that fails to re-process', async (t) => {
+  const { dir, photo, processor } = await setup(t);
+  t.mock.method(process, 'exit', code => {
+    throw new Error(`process.exit(${code})`);
+  });
+  await processor.run();
+  const readManifest = async () => JSON.parse(await fs.readFile(path.join(dir, 'photos-manifest.json'), 'utf8'));
+  const [published] = (await readManifest()).photos;
+
+  await createJpeg(photo, { lat: 36.5, lng: -121.9, time: '2025:09:09 16:00:00', color: 99 });
+  const failing = createProcessor(dir);
+  failing.storage.upload = async () => {
+    throw new Error('Upload failed');
+  };
+  await failing.run();
+
+  const [kept] = (await readManifest()).photos;
+  assert.equal(kept.error, null);
+  assert.equal(kept.fileHash, published.fileHash);
+  assert.equal(kept.url, published.url);
+  assert.deepEqual((await readManifest()).groups.map(group => group.photoIds), [[published.id]]);
+
+  // The edit is picked up once the upload works
+  await createProcessor(dir).run();
+  const [edited] = (await readManifest()).photos;
+  assert.notEqual(edited.fileHash, published.fileHash);
+  assert.equal(edited.id, published.id);
+});
+
+test('run checkpoints from concurrent workers without clobbering the manifest', async (t) => {
+  const { dir, photosDir, processor } = await setup(t);
+  t.mock.method(process, 'exit', code => {
+    throw new Error(`process.exit(${code})`);
+  });
+  for (let n = 2; n <= 8; n++) {
+    await createJpeg(path.join(photosDir, `IMG_000${n}.JPG`), { lat: 36.5, lng: -121.9, time: '2025:09:09 16:00:00', color: n });
+  }
+  processor.config.processing = { ...processor.config.processing, concurrency: 4, checkpointEvery: 1 };
+
+  // Workers that finish together all checkpoint at once
+  const processPhoto = processor.processPhoto.bind(processor);
+  const finished = [];
+  t.mock.method(processor, 'processPhoto', async (file) => {
+    const data = await processPhoto(file);
+    await new Promise(resolve => {
+      finished.push(resolve);
+      if (finished.length % 4 === 0 || finished.length === 8) finished.forEach(release => release());
+    });
+    return data;
+  });
+
+  await processor.run();
+
+  const manifest = JSON.parse(await fs.readFile(path.join(dir, 'photos-manifest.json'), 'utf8'));
+  assert.deepEqual(validateManifest(manifest), []);
+  assert.equal(manifest.photos.length, 8);
+  assert.deepEqual(await fs.readdir(dir).then(names => names.filter(name => name.endsWith('.tmp'))), []);
+});
+
+test('run hides and fuzzes positions in privacy zones and restores them when zones change', async (t) => {
+  const home = { name: 'home', lat: 36.5, lng: -121.9, radiusMiles: 0.1, action: 'hide' };
+  const { dir, photosDir, processor } = await setup(t, { privacy: { zones: [home] } });
+  t.mock.method(process, 'exit', code => {
+    throw new Error(`process.exit(${code})`);
+  });
+  // Interpolated from the track at 16:00:10, inside the zone
+  await createJpeg(path.join(photosDir, 'IMG_0003.JPG'), { time: '2025:09:09 16:00:10', color: 3 });
+  await createJpeg(path.join(photosDir, 'IMG_0004.JPG'), { lat: 36.52, lng: -121.9, time: '2025:09:09 16:30:00', color: 4 });
+
+  await processor.run();
+  const readManifest = async () => JSON.parse(await fs.readFile(path.join(dir, 'photos-manifest.json'), 'utf8'));
+  const byName = manifest => Object.fromEntries(manifest.photos.map(photo => [photo.originalName, photo]));
+
+  const hidden = await readManifest();
+  assert.deepEqual(validateManifest(hidden), []);
+  const photos = byName(hidden);
+  assert.deepEqual([photos['IMG_0001.JPG'].lat, photos['IMG_0001.JPG'].positionSource], [null, null]);
+  assert.deepEqual(photos['IMG_0001.JPG'].privacy, { action: 'hide', source: 'exif' });
+  assert.deepEqual(photos['IMG_0003.JPG'].privacy, { action: 'hide', source: 'gpx-interpolated' });
+  assert.equal(photos['IMG_0004.JPG'].privacy, undefined);
+  assert.ok(Math.abs(photos['IMG_0004.JPG'].lat - 36.52) < 1e-6);
+  assert.deepEqual(hidden.groups.map(group => group.photoIds), [[photos['IMG_0004.JPG'].id]]);
+
+  // Fuzzing instead moves them into one grid cell
+  await createProcessor(dir, { privacy: { zones: [{ ...home, action: 'fuzz' }] } }).run();
+  const fuzzed = byName(await readManifest());
+  assert.equal(fuzzed['IMG_0001.JPG'].privacy.action, 'fuzz');
+  assert.equal(fuzzed['IMG_0001.JPG'].positionSource, 'exif');
+  assert.notEqual(fuzzed['IMG_0001.JPG'].lat, 36.5);
+  assert.equal(fuzzed['IMG_0003.JPG'].lat, fuzzed['IMG_0001.JPG'].lat);
+
+  // Without the zone the real positions come back
+  await createProcessor(dir).run();
+  const restored = byName(await readManifest());
+  assert.equal(restored['IMG_0001.JPG'].privacy, undefined);
+  assert.ok(Math.abs(restored['IMG_0001.JPG'].lat - 36.5) < 1e-6);
+  assert.equal(restored['IMG_0003.JPG'].positionSource, 'gpx-interpolated');
+  assert.ok(Math.abs(restored['IMG_0003.JPG'].lat - 36.5005) < 1e-6);
+});
+
+test('run strips the metadata of videos recorded in a privacy zone', async (t) => {
+  const home = { name: 'home', lat: 36.5, lng: -121.9, radiusMiles: 0.1, action: 'hide' };
+  const { dir, photosDir, processor } = await setup(t, { privacy: { zones: [home] } });
+  t.mock.method(process, 'exit', code => {
+    throw new Error(`process.exit(${code})`);
+  });
+  // Stands in for ffmpeg: writes "stripped" to the output file (a video or poster)
+  const ffmpegPath = path.join(dir, 'ffmpeg');
+  await fs.writeFile(ffmpegPath, '#!/bin/sh\nfor last; do :; done\necho stripped > "$last"\n', { mode: 0o755 });
+  const withFfmpeg = processor => Object.assign(processor.config, { video: { ffmpegPath } }) && processor;
+  await createMovie(path.join(photosDir, 'home.mov'), { time: '2025-09-09T16:00:00Z', location: { lat: 36.5, lng: -121.9 } });
+  await createMovie(path.join(photosDir, 'away.mov'), { time: '2025-09-09T16:30:00Z', location: { lat: 36.52, lng: -121.9 } });
+
+  await withFfmpeg(processor).run();
+  const readManifest = async () => JSON.parse(await fs.readFile(path.join(dir, 'photos-manifest.json'), 'utf8'));
+  const stored = async photo => fs.readFile(path.join(dir, 'out', 'photos', `${photo.fileHash}.mov`), 'utf8');
+  const byName = manifest => Object.fromEntries(manifest.photos.map(photo => [photo.originalName, photo]));
+
+  const first = await readManifest();
+  assert.deepEqual(validateManifest(first), []);
+  const videos = byName(first);
+  assert.equal(videos['home.mov'].metadataStripped, true);
+  assert.equal((await stored(videos['home.mov'])).trim(), 'stripped');
+  assert.equal(videos['away.mov'].metadataStripped, undefined);
+  assert.match(await stored(videos['away.mov']), /away\.mov/);
+
+  // A zone added later re-processes the video uploaded with its location
+  const park = { ...home, name: 'park', lat: 36.52 };
+  await withFfmpeg(createProcessor(dir, { privacy: { zones: [home, park] } })).run();
+  const rezoned = byName(await readManifest());
+  assert.equal(rezoned['away.mov'].metadataStripped, true);
+  assert.equal((await stored(rezoned['away.mov'])).trim(), 'stripped');
+  assert.deepEqual(rezoned['away.mov'].privacy, { action: 'hide', source: 'metadata' });
+
+  // One that can't be stripped stays as it was, so the build fails instead
+  await createMovie(path.join(photosDir, 'away.mov'), { time: '2025-09-09T16:30:00Z', location: { lat: 36.53, lng: -121.9 } });
+  await withFfmpeg(createProcessor(dir)).run();
+  const failing = createProcessor(dir, { privacy: { zones: [home, { ...park, lat: 36.53 }] } });
+  failing.config.video = { ffmpegPath: path.join(dir, 'missing-ffmpeg') };
+  await assert.rejects(failing.run(), /process\.exit\(1\)/);
+  assert.match(console.error.mock.calls.at(-1).arguments[1].message, /location inside a privacy zone: away\.mov$/);
+  assert.equal(byName(await readManifest())['away.mov'].metadataStripped, undefined);
+});
+
+test('run merges curation edits from the overrides file on every build', async (t) => {
+  const { dir, photosDir, processor } = await setup(t);
+  t.mock.method(process, 'exit', code => {
+    throw new Error(`process.exit(${code})`);
+  });
+  await createJpeg(path.join(photosDir, 'IMG_0002.JPG'), { lat: 36.501, lng: -121.9, time: '2025:09:09 16:00:30', color: 2 });
+  await processor.run();
+
+  const readManifest = async () => JSON.parse(await fs.readFile(path.join(dir, 'photos-manifest.json'), 'utf8'));
+  const [first, second] = (await readManifest()).photos.sort((a, b) => a.originalName.localeCompare(b.originalName));
+  const overridesPath = path.join(dir, 'photos-manifest.overrides.json');
+  await fs.writeFile(overridesPath, JSON.stringify({
+    cover: second.id,
+    photos: {
+      [first.id]: { hidden: true },
+      [second.id]: { caption: 'Lunch stop', alt: 'Bikes against a fence', lat: 36.51, lng: -121.91 }
+    }
+  }));
+
+  await createProcessor(dir).run();
+  const edited = await readManifest();
+  assert.deepEqual(validateManifest(edited), []);
+  const byId = Object.fromEntries(edited.photos.map(photo => [photo.id, photo]));
+  assert.equal(byId[first.id].hidden, true);
+  assert.equal(byId[second.id].caption, 'Lunch stop');
+  assert.deepEqual([byId[second.id].lat, byId[second.id].positionSource], [36.51, 'manual']);
+  assert.equal(edited.cover, second.id);
+  assert.deepEqual(edited.groups.map(group => group.photoIds), [[second.id]]);
+
+  // Dropping the edits restores the photo's own position and the groups
+  await fs.writeFile(overridesPath, JSON.stringify({ photos: {} }));
+  await createProcessor(dir).run();
+  const restored = await readManifest();
+  const again = Object.fromEntries(restored.photos.map(photo => [photo.id, photo]));
+  assert.equal(again[first.id].hidden, undefined);
+  assert.equal(again[second.id].caption, undefined);
+  assert.equal(again[second.id].camera.make, 'Test Camera');
+  assert.equal(again[second.id].positionSource, 'exif');
+  assert.ok(Math.abs(again[second.id].lat - 36.501) < 1e-6);
+  assert.equal(restored.cover, undefined);
+  assert.equal(restored.groups.length, 1);
+  assert.equal(restored.groups[0].photoIds.length, 2);
+});
+
+test('contributorOf prefers the rider folder, then the credit, then the camera model', () => {
+  const aliases = { 'Pixel 8': 'Sam' };
+  assert.equal(contributorOf({ originalName: 'alex/IMG_0001.JPG', credit: 'Pat', camera: { model: 'Pixel 8' } }, aliases), 'alex');
+  assert.equal(contributorOf({ originalName: 'IMG_0001.JPG', credit: 'Pat', camera: { model: 'Pixel 8' } }, aliases), 'Pat');
+  assert.equal(contributorOf({ originalName: 'IMG_0001.JPG', camera: { model: 'Pixel 8' } }, aliases), 'Sam');
+  assert.equal(contributorOf({ originalName: 'IMG_0001.MOV' }, aliases), null);
+});
+
+test('run keeps same-named photos from different riders apart and credits each rider', async (t) => {
+  const { dir, photosDir, processor } = await setup(t);
+  t.mock.method(process, 'exit', code => {
+    throw new Error(`process.exit(${code})`);
+  });
+  await createJpeg(path.join(photosDir, 'alex', 'IMG_0001.JPG'), { lat: 36.52, lng: -121.9, time: '2025:09:09 16:30:00', color: 20 });
+  await createJpeg(path.join(photosDir, 'sam', 'IMG_0001.JPG'), { lat: 36.52, lng: -121.9, time: '2025:09:09 16:31:00', color: 21 });
+  processor.config.photos.contributors = { alex: 'Alex' };
+  await processor.run();
+
+  const manifest = JSON.parse(await fs.readFile(path.join(dir, 'photos-manifest.json'), 'utf8'));
+  assert.deepEqual(validateManifest(manifest), []);
+  const contributors = Object.fromEntries(manifest.photos.map(photo => [photo.originalName, photo.contributor]));
+  // The photo directly in sourceDir has neither a credit nor a camera model
+  assert.deepEqual(contributors, {
+    'IMG_0001.JPG': undefined,
+    'alex/IMG_0001.JPG': 'Alex',
+    'sam/IMG_0001.JPG': 'sam'
+  });
+
+  // Unchanged files in subfolders are skipped on the next run
+  const rerun = createProcessor(dir);
+  const processed = t.mock.method(rerun, 'createDerivatives');
+  await rerun.run();
+  assert.equal(processed.mock.callCount(), 0);
+});
@@ -0,0 +1,163 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from '@xmldom/xmldom';
+import { parseGPX, parseGPXTracks, interpolatePosition, buildRouteData, buildTrackSummary } from '../src/utils/gpx.js';
+import { readFixture } from './helpers.js';
+
+// climb-and-stop.gpx runs due north in 0.001° steps (~0.0691 mi) every 20 s:
+// 5 flat points at 100 m, a steady 5 m/point ramp to 150 m, a flat top, then
+// 7 points parked at the end 30 s apart (a 210 s stop)
+const MILES_PER_STEP = 3959 * Math.PI / 180 * 0.001;
+const FEET_PER_METER = 3.28084;
+
+async function parseFixture(options = {}) {
+  return parseGPX(await readFixture('climb-and-stop.gpx'), { DOMParser, ...options });
+}
+
+test('parseGPX reads the track name, points and bounds', async () => {
+  const gpx = await parseFixture();
+
+  assert.equal(gpx.name, 'Fixture Climb');
+  assert.equal(gpx.trackPoints.length, 28);
+  assert.deepEqual(gpx.bounds, { minLat: 36.5, maxLat: 36.52, minLng: -121.9, maxLng: -121.9 });
+  assert.equal(gpx.trackPoints[0].distance, 0);
+  assert.equal(gpx.trackPoints[0].time, '2025-09-09T16:00:00Z');
+});
+
+test('parseGPX computes distance, time and speed', async () => {
+  const { statistics } = await parseFixture();
+
+  assert.ok(Math.abs(statistics.totalDistance - 20 * MILES_PER_STEP) < 1e-6);
+  assert.equal(statistics.movingTime, 400);
+  assert.equal(statistics.elapsedTime, 610);
+
+  const speed = MILES_PER_STEP / (20 / 3600);
+  assert.ok(Math.abs(statistics.averageSpeed - speed) < 0.01);
+  assert.ok(Math.abs(statistics.maxSpeed - speed) < 0.01);
+});
+
+test('parseGPX detects stops longer than minStopDuration', async () => {
+  const { statistics } = await parseFixture();
+
+  assert.equal(statistics.stops.length, 1);
+  assert.equal(statistics.stops[0].duration, 210);
+  assert.equal(statistics.stops[0].start, '2025-09-09T16:06:40Z');
+
+  const { statistics: strict } = await parseFixture({ minStopDuration: 300 });
+  assert.equal(strict.stops.length, 0);
+});
+
+test('parseGPX computes elevation range, gain, loss and grades', async () => {
+  const { statistics } = await parseFixture();
+
+  assert.ok(Math.abs(statistics.minElevation - 100 * FEET_PER_METER) < 1e-6);
+  assert.ok(Math.abs(statistics.maxElevation - 150 * FEET_PER_METER) < 1e-6);
+
+  // Gain is counted in steps of at least elevationThreshold (2 m), so up to
+  // one threshold of the 50 m climb can go uncounted
+  assert.ok(statistics.totalElevationGain <= 50 * FEET_PER_METER + 1e-6);
+  assert.ok(statistics.totalElevationGain >= 48 * FEET_PER_METER);
+  assert.equal(statistics.totalElevationLoss, 0);
+
+  // Steepest 100 m run is one 5 m step
+  const stepMeters = MILES_PER_STEP * 1609.34;
+  assert.ok(Math.abs(statistics.maxGrade - 5 / stepMeters * 100) < 0.01);
+});
+
+test('parseGPX reports a climb from the last low point to the top', async () => {
+  const { statistics } = await parseFixture();
+
+  assert.equal(statistics.climbs.length, 1);
+  const [climb] = statistics.climbs;
+
+  // Smoothing (5 points) spreads the ramp over points 2-16
+  assert.equal(climb.start.lat, 36.502);
+  assert.equal(climb.end.lat, 36.516);
+  assert.ok(Math.abs(climb.gain - 50 * FEET_PER_METER) < 1e-6);
+  assert.ok(Math.abs(climb.length - 14 * MILES_PER_STEP) < 1e-6);
+  assert.ok(climb.averageGrade > 3 && climb.averageGrade < 3.5);
+  assert.equal(climb.category, 'Uncategorized');
+
+  const { statistics: steepOnly } = await parseFixture({ minClimbGrade: 4 });
+  assert.equal(steepOnly.climbs.length, 0);
+});
+
+test('interpolatePosition places times between track points', async () => {
+  const { trackPoints } = await parseFixture();
+
+  const halfway = interpolatePosition(trackPoints, '2025-09-09T16:00:10Z');
+  assert.ok(Math.abs(halfway.lat - 36.5005) < 1e-9);
+  assert.equal(halfway.lng, -121.9);
+
+  // Just past the end snaps to the last point; far outside is unknown
+  assert.deepEqual(interpolatePosition(trackPoints, '2025-09-09T16:12:00Z'), { lat: 36.52, lng: -121.9 });
+  assert.equal(interpolatePosition(trackPoints, '2025-09-09T18:00:00Z'), null);
+  assert.equal(interpolatePosition(trackPoints, '2025-09-09T15:00:00Z'), null);
+});
+
+test('buildRouteData packs the track and elevation profile', async () => {
+  const route = buildRouteData(await parseFixture());
+
+  assert.equal(route.name, 'Fixture Climb');
+  assert.equal(route.startTime, '2025-09-09T16:00:00Z');
+  assert.ok(route.track.length >= 2 && route.track.length <= 28);
+
+  const [first] = route.profile;
+  const last = route.profile[route.profile.length - 1];
+  assert.equal(first[0], 0);
+  assert.equal(first[5], 0);
+  assert.equal(last[5], 610);
+  assert.ok(route.statistics.climbs[0].track.length >= 2);
+});
+
+// Two riders in one file: the first track pauses between two segments ~6 mi
+// apart, the second has no name of its own
+const MULTI_TRACK_GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>Group Ride</name></metadata>
+  <trk>
+    <name>Alex</name>
+    <trkseg>
+      <trkpt lat="36.500" lon="-121.900"><time>2025-09-09T16:00:00Z</time></trkpt>
+      <trkpt lat="36.501" lon="-121.900"><time>2025-09-09T16:00:20Z</time></trkpt>
+    </trkseg>
+    <trkseg>
+      <trkpt lat="36.600" lon="-121.900"><time>2025-09-09T17:00:00Z</time></trkpt>
+      <trkpt lat="36.601" lon="-121.900"><time>2025-09-09T17:00:20Z</time></trkpt>
+    </trkseg>
+  </trk>
+  <trk>
+    <trkseg>
+      <trkpt lat="36.500" lon="-121.800"><time>2025-09-09T16:00:00Z</time></trkpt>
+      <trkpt lat="36.502" lon="-121.800"><time>2025-09-09T16:00:40Z</time></trkpt>
+    </trkseg>
+  </trk>
+  <trk><name>Empty</name></trk>
+</gpx>`;
+
+test('parseGPXTracks reads each track and does not bridge segments', () => {
+  const tracks = parseGPXTracks(MULTI_TRACK_GPX, { DOMParser });
+
+  assert.deepEqual(tracks.map(track => track.name), ['Alex', 'Group Ride']);
+  assert.deepEqual(tracks[0].trackPoints.map(point => point.segment), [0, 0, 1, 1]);
+  // Two 0.001° steps, not the ~6.9 mi jump between the segments
+  assert.ok(Math.abs(tracks[0].statistics.totalDistance - 2 * MILES_PER_STEP) < 0.001);
+  assert.ok(tracks[0].statistics.maxSpeed < 15);
+  assert.ok(Math.abs(tracks[1].statistics.totalDistance - 2 * MILES_PER_STEP) < 0.001);
+
+  // parseGPX keeps reading the whole file as one route
+  assert.equal(parseGPX(MULTI_TRACK_GPX, { DOMParser }).trackPoints.length, 6);
+});
+
+test('buildTrackSummary and buildRouteData mark where segments start', () => {
+  const [alex, other] = parseGPXTracks(MULTI_TRACK_GPX, { DOMParser });
+  const summary = buildTrackSummary(alex);
+
+  assert.equal(summary.name, 'Alex');
+  assert.equal(summary.startTime, '2025-09-09T16:00:00Z');
+  assert.deepEqual(summary.breaks, [2]);
+  assert.equal(summary.track.length, 4);
+  assert.deepEqual(buildRouteData(alex).breaks, [2]);
+  // A single segment needs no breaks
+  assert.equal('breaks' in buildTrackSummary(other), false);
+});
@@ -0,0 +1,146 @@
+// Shared fixtures for the test suite
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+export async function readFixture(name) {
+  return fs.readFile(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+export async function makeTempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'photos-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// EXIF rational degrees/minutes/seconds, e.g. "36/1 30/1 1234/100"
+function toDMS(value) {
+  const abs = Math.abs(value);
+  const degrees = Math.floor(abs);
+  const minutes = Math.floor((abs - degrees) * 60);
+  const seconds = Math.round(((abs - degrees) * 60 - minutes) * 60 * 10000);
+  return `${degrees}/1 ${minutes}/1 ${seconds}/10000`;
+}
+
+// Write a small JPEG. `time` is the camera's DateTimeOriginal
+// ("YYYY:MM:DD HH:MM:SS"); `lat`/`lng` are written as EXIF GPS and `serial`
+// as the body serial number when given. `tags` adds IFD0/IFD2 tags and `xmp`
+// an XMP packet. `color` varies the pixels so every photo has its own content
+// hash.
+export async function createJpeg(filePath, { lat = null, lng = null, time = null, serial = null, tags = {}, xmp = null, color = 0 } = {}) {
+  const exif = { IFD0: { Make: 'Test Camera', ...tags.IFD0 }, IFD2: { ...tags.IFD2 } };
+  if (time) exif.IFD2.DateTimeOriginal = time;
+  if (serial) exif.IFD2.BodySerialNumber = serial;
+  if (lat !== null && lng !== null) {
+    exif.IFD3 = {
+      GPSLatitudeRef: lat >= 0 ? 'N' : 'S',
+      GPSLatitude: toDMS(lat),
+      GPSLongitudeRef: lng >= 0 ? 'E' : 'W',
+      GPSLongitude: toDMS(lng)
+    };
+  }
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  let image = sharp({
+    create: { width: 320, height: 240, channels: 3, background: { r: color % 256, g: 120, b: 200 } }
+  })
+    .jpeg()
+    .withExif(exif);
+  if (xmp) image = image.withXmp(xmp);
+  await image.toFile(filePath);
+  return filePath;
+}
+
+// A minimal FIT activity: one `record` per point ({ lat, lng, time, altitude
+// (m), heartRate, cadence, power, temperature }), with a timer stop and start
+// event before points that have `pausedBefore`. The CRC is left at zero.
+export function createFit(points) {
+  const FIT_EPOCH = 631065600;
+  const bytes = [];
+  const push = (size, value, signed = false) => {
+    const buffer = Buffer.alloc(size);
+    if (size === 1) signed ? buffer.writeInt8(value) : buffer.writeUInt8(value);
+    if (size === 2) buffer.writeUInt16LE(value);
+    if (size === 4) signed ? buffer.writeInt32LE(value) : buffer.writeUInt32LE(value);
+    bytes.push(...buffer);
+  };
+  // Definition: header, reserved, little endian, global number, fields
+  const define = (local, number, fields) => {
+    bytes.push(0x40 | local, 0, 0);
+    push(2, number);
+    bytes.push(fields.length);
+    for (const [field, size, type] of fields) bytes.push(field, size, type);
+  };
+
+  define(0, 20, [[253, 4, 0x86], [0, 4, 0x85], [1, 4, 0x85], [2, 2, 0x84], [3, 1, 0x02], [4, 1, 0x02], [7, 2, 0x84], [13, 1, 0x01]]);
+  define(1, 21, [[253, 4, 0x86], [0, 1, 0x00], [1, 1, 0x00]]);
+  const toSemicircles = degrees => Math.round(degrees * 2 ** 31 / 180);
+  for (const point of points) {
+    const timestamp = Date.parse(point.time) / 1000 - FIT_EPOCH;
+    if (point.pausedBefore) {
+      for (const eventType of [1, 0]) {
+        bytes.push(1);
+        push(4, timestamp);
+        bytes.push(0, eventType);
+      }
+    }
+    bytes.push(0);
+    push(4, timestamp);
+    push(4, toSemicircles(point.lat), true);
+    push(4, toSemicircles(point.lng), true);
+    push(2, point.altitude !== undefined ? Math.round((point.altitude + 500) * 5) : 0xFFFF);
+    push(1, point.heartRate ?? 0xFF);
+    push(1, point.cadence ?? 0xFF);
+    push(2, point.power ?? 0xFFFF);
+    push(1, point.temperature ?? 0x7F, point.temperature !== undefined);
+  }
+
+  const header = Buffer.alloc(12);
+  header.writeUInt8(12, 0);
+  header.writeUInt8(0x20, 1);
+  header.writeUInt16LE(2132, 2);
+  header.writeUInt32LE(bytes.length, 4);
+  header.write('.FIT', 8, 'ascii');
+  return Buffer.concat([header, Buffer.from(bytes), Buffer.alloc(2)]);
+}
+
+// A minimal QuickTime movie: media data, then a moov atom with a movie header
+// (creation time, duration in seconds) and the `location` ({ lat, lng }) as
+// ISO 6709 user data
+export async function createMovie(filePath, { time = null, seconds = 1, location = null } = {}) {
+  const atom = (type, ...payload) => {
+    const body = Buffer.concat(payload);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+  };
+
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(time ? Date.parse(time) / 1000 + 2082844800 : 0, 4);
+  mvhd.writeUInt32BE(600, 12);
+  mvhd.writeUInt32BE(Math.round(seconds * 600), 16);
+  const children = [atom('mvhd', mvhd)];
+  if (location) {
+    const sign = value => (value < 0 ? '-' : '+');
+    const text = Buffer.from(`${sign(location.lat)}${Math.abs(location.lat).toFixed(4)}${sign(location.lng)}${Math.abs(location.lng).toFixed(4)}/`);
+    const length = Buffer.alloc(4);
+    length.writeUInt16BE(text.length);
+    children.push(atom('udta', atom('©xyz', length, text)));
+  }
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, Buffer.concat([atom('mdat', Buffer.from(path.basename(filePath))), atom('moov', ...children)]));
+  return filePath;
+}
+
+// Silence console output from the code under test
+export function quiet(t) {
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, () => {});
+  }
+}
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SCHEMA_VERSION,
+  createEmptyManifest,
+  migrateManifest,
+  needsMigration,
+  validateManifest
+} from '../scripts/manifest.js';
+
+const photo = (id, extra = {}) => ({
+  originalName: `${id}.jpg`,
+  id,
+  processed: true,
+  error: null,
+  fileHash: '0c6d99f1f147ef8537805a231aca5171',
+  processingVersion: 2,
+  url: `https://photos.example.com/photos/${id}.jpg`,
+  type: 'image',
+  lat: 36.5,
+  lng: -121.9,
+  timestamp: '2025-09-09T16:00:00.000Z',
+  ...extra
+});
+
+// The shape written before schema versions existed
+const legacyManifest = () => ({
+  photos: [photo('one'), photo('two'), photo('three', { lat: null, lng: null })],
+  groups: [{
+    id: 'group-1',
+    lat: 36.5,
+    lng: -121.9,
+    photos: [photo('one'), photo('two')],
+    count: 2,
+    locationName: 'Somewhere'
+  }],
+  lastUpdated: '2025-09-10T12:00:00.000Z',
+  version: null,
+  day: 5,
+  route: 'Cambria to Pismo Beach',
+  totalPhotos: 0
+});
+
+test('an empty manifest is valid and current', () => {
+  const manifest = createEmptyManifest();
+  assert.equal(manifest.schemaVersion, SCHEMA_VERSION);
+  assert.equal(needsMigration(manifest), false);
+  assert.deepEqual(validateManifest(manifest), []);
+});
+
+test('migrateManifest upgrades unversioned manifests', () => {
+  const legacy = legacyManifest();
+  assert.equal(needsMigration(legacy), true);
+  assert.notDeepEqual(validateManifest(legacy), []);
+
+  const migrated = migrateManifest(legacy);
+  assert.equal(migrated.schemaVersion, SCHEMA_VERSION);
+  assert.equal(migrated.revision, 0);
+  assert.deepEqual(migrated.groups[0].photoIds, ['one', 'two']);
+  assert.equal('photos' in migrated.groups[0], false);
+  for (const dropped of ['version', 'day', 'route', 'totalPhotos']) {
+    assert.equal(dropped in migrated, false);
+  }
+  assert.deepEqual(validateManifest(migrated), []);
+
+  // Current manifests pass through unchanged
+  assert.deepEqual(migrateManifest(migrated), migrated);
+});
+
+test('migrateManifest refuses manifests from a newer build', () => {
+  assert.throws(() => migrateManifest({ schemaVersion: SCHEMA_VERSION + 1 }), /newer/);
+});
+
+test('validateManifest checks types, ranges, formats and URLs', () => {
+  const manifest = migrateManifest(legacyManifest());
+  manifest.photos[0].lat = 91;
+  manifest.photos[1].url = 'ftp://example.com/two.jpg';
+  manifest.photos[1].timestamp = 'yesterday';
+  manifest.photos[2].type = 'gif';
+  manifest.revision = '3';
+
+  const errors = validateManifest(manifest);
+  assert.ok(errors.includes('$.photos[0].lat: 91 is above 90'));
+  assert.ok(errors.some(error => error.startsWith('$.photos[1].url:')));
+  assert.ok(errors.some(error => error.startsWith('$.photos[1].timestamp:')));
+  assert.ok(errors.some(error => error.startsWith('$.photos[2].type:')));
+  assert.ok(errors.includes('$.revision: expected integer, got string'));
+});
+
+test('validateManifest accepts root-relative URLs from local storage', () => {
+  const manifest = migrateManifest(legacyManifest());
+  manifest.photos[0].url = '/photos/one-full.jpg';
+  assert.deepEqual(validateManifest(manifest), []);
+});
+
+test('validateManifest checks group references', () => {
+  const manifest = migrateManifest(legacyManifest());
+  manifest.groups.push({ id: 'group-1', lat: 36.5, lng: -121.9, photoIds: ['two', 'three', 'missing'], locationName: 'Again' });
+  manifest.photos.push(photo('one'));
+
+  const errors = validateManifest(manifest);
+  assert.ok(errors.includes('$.photos[3]: duplicate id one'));
+  assert.ok(errors.includes('$.groups[1]: duplicate id group-1'));
+  assert.ok(errors.includes('$.groups[1]: photo two is also in group-1'));
+  assert.ok(errors.includes('$.groups[1]: references photo three, which has no location'));
+  assert.ok(errors.includes('$.groups[1]: references unknown photo missing'));
+});
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  applyOverrides,
+  createEmptyOverrides,
+  loadOverrides,
+  saveOverrides,
+  validateOverrides
+} from '../scripts/overrides.js';
+import { createCurationServer } from '../scripts/curate.js';
+import { makeTempDir } from './helpers.js';
+
+const manifest = () => ({
+  photos: [
+    { id: 'a', lat: 36.5, lng: -121.9, positionSource: 'exif' },
+    { id: 'b', lat: null, lng: null, positionSource: null, caption: 'Stale caption' },
+    { id: 'c', lat: null, lng: null, positionSource: null, caption: 'Curated', embedded: { caption: 'From the camera', credit: 'Sam' } }
+  ],
+  groups: []
+});
+
+test('validateOverrides checks fields, types and positions', () => {
+  assert.deepEqual(validateOverrides(createEmptyOverrides()), []);
+  assert.deepEqual(validateOverrides({ photos: { a: { caption: 'Lunch', hidden: true, lat: 36.5, lng: -121.9 } } }), []);
+
+  const errors = validateOverrides({
+    cover: 3,
+    photos: { a: { caption: 5, url: 'x' }, b: { lat: 36.5 }, c: { lat: 91, lng: 0 } }
+  });
+  assert.deepEqual(errors, [
+    'cover must be a photo id or null',
+    'photos.a.caption must be a string',
+    'photos.a.url is not an editable field',
+    'photos.b must set both lat and lng',
+    'photos.c has an invalid position'
+  ]);
+  assert.deepEqual(validateOverrides([]), ['overrides must be an object']);
+});
+
+test('saveOverrides drops empty edits and loadOverrides reads them back', async (t) => {
+  const dir = await makeTempDir(t);
+  const file = path.join(dir, 'trip', 'day1.json');
+  assert.deepEqual(await loadOverrides(file), createEmptyOverrides());
+
+  await saveOverrides(file, {
+    cover: 'b',
+    photos: { b: { caption: '  Summit  ', hidden: false }, a: { alt: '' } }
+  });
+  assert.deepEqual(await loadOverrides(file), { cover: 'b', photos: { b: { caption: 'Summit' } } });
+
+  await assert.rejects(saveOverrides(file, { photos: { a: { hidden: 'yes' } } }), /hidden must be a boolean/);
+  await fs.writeFile(file, JSON.stringify({ photos: { a: { rating: 5 } } }));
+  await assert.rejects(loadOverrides(file), /rating is not an editable field/);
+});
+
+test('applyOverrides sets edits, manual positions and the cover', () => {
+  const edited = manifest();
+  const count = applyOverrides(edited, {
+    cover: 'a',
+    photos: { a: { caption: 'Lunch', favorite: true }, b: { hidden: true, lat: 36.6, lng: -121.8 } }
+  });
+
+  assert.equal(count, 2);
+  assert.equal(edited.cover, 'a');
+  assert.equal(edited.photos[0].caption, 'Lunch');
+  assert.equal(edited.photos[0].favorite, true);
+  assert.equal(edited.photos[0].positionSource, 'exif');
+  assert.deepEqual(
+    [edited.photos[1].lat, edited.photos[1].lng, edited.photos[1].positionSource, edited.photos[1].hidden],
+    [36.6, -121.8, 'manual', true]
+  );
+  assert.equal('caption' in edited.photos[1], false);
+  // Without an override, text falls back to what the file had
+  assert.deepEqual([edited.photos[2].caption, edited.photos[2].credit], ['From the camera', 'Sam']);
+  applyOverrides(edited, { photos: { c: { credit: 'Alex' } } });
+  assert.deepEqual([edited.photos[2].caption, edited.photos[2].credit], ['From the camera', 'Alex']);
+
+  // A hidden photo can't be the cover, and removed edits are cleared
+  applyOverrides(edited, { cover: 'b', photos: { b: { hidden: true } } });
+  assert.equal('cover' in edited, false);
+  assert.equal('favorite' in edited.photos[0], false);
+});
+
+test('the curation server lists trips and rejects bad edits', async (t) => {
+  const server = createCurationServer().listen(0, '127.0.0.1');
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const trips = await (await fetch(`${base}/api/trips`)).json();
+  assert.ok(trips.length > 0);
+  assert.ok(trips[0].days.every(day => Number.isInteger(day.day)));
+
+  const { slug } = trips[0];
+  const bad = await fetch(`${base}/api/trips/${slug}/days/1/overrides`, {
+    method: 'PUT',
+    body: JSON.stringify({ photos: { a: { hidden: 'yes' } } })
+  });
+  assert.equal(bad.status, 400);
+  assert.match((await bad.json()).error, /hidden must be a boolean/);
+
+  assert.equal((await fetch(`${base}/api/trips/${slug}/days/99`)).status, 404);
+  assert.equal((await fetch(`${base}/%2e%2e/package.json`)).status, 404);
+  assert.match(await (await fetch(`${base}/`)).text(), /Curate photos/);
+});
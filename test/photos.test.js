@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { clusterPhotos, groupPhotosByLocation } from '../src/utils/photos.js';
+
+const at = minutes => new Date(Date.UTC(2025, 8, 9, 16, minutes)).toISOString();
+
+// ~0.07 mi apart around a stop, one photo 7 mi north, and the stop revisited
+// five hours later
+const photos = [
+  { id: 'a', lat: 36.5, lng: -121.9, timestamp: at(0) },
+  { id: 'b', lat: 36.501, lng: -121.9, timestamp: at(5) },
+  { id: 'c', lat: 36.6, lng: -121.9, timestamp: at(30) },
+  { id: 'd', lat: 36.5, lng: -121.901, timestamp: at(300) }
+];
+
+const ids = clusters => clusters.map(cluster => cluster.map(photo => photo.id).join(''));
+
+test('clusterPhotos groups nearby photos taken close in time', () => {
+  assert.deepEqual(ids(clusterPhotos(photos)), ['ab', 'c', 'd']);
+});
+
+test('clusterPhotos does not depend on input order', () => {
+  const reversed = clusterPhotos([...photos].reverse());
+  const shuffled = clusterPhotos([photos[2], photos[0], photos[3], photos[1]]);
+
+  assert.deepEqual(ids(reversed), ['ab', 'c', 'd']);
+  assert.deepEqual(ids(shuffled), ['ab', 'c', 'd']);
+});
+
+test('clusterPhotos honours the radius and time window', () => {
+  assert.deepEqual(ids(clusterPhotos(photos, { timeWindowMinutes: 600 })), ['abd', 'c']);
+  assert.deepEqual(ids(clusterPhotos(photos, { radiusMiles: 0.01 })), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(ids(clusterPhotos(photos, { radiusMiles: 10, timeWindowMinutes: 600 })), ['abcd']);
+});
+
+test('clusterPhotos chains neighbours into one group', () => {
+  // Each photo is within 0.5 mi of the next, but the ends are ~1 mi apart
+  const chain = [0, 1, 2, 3].map(i => ({ id: `p${i}`, lat: 36.5 + i * 0.005, lng: -121.9, timestamp: at(i) }));
+  assert.deepEqual(ids(clusterPhotos(chain)), ['p0p1p2p3']);
+});
+
+test('clusterPhotos keeps photos without a timestamp from bridging visits', () => {
+  const untimed = { id: 'e', lat: 36.5005, lng: -121.9, timestamp: null };
+  assert.deepEqual(ids(clusterPhotos([...photos, untimed])), ['abe', 'c', 'd']);
+
+  // With no timestamps at all, grouping is by distance alone
+  const noTimes = photos.map(photo => ({ ...photo, timestamp: null }));
+  assert.deepEqual(ids(clusterPhotos(noTimes)), ['abd', 'c']);
+});
+
+test('clusterPhotos leaves photos without enough neighbours on their own', () => {
+  const three = [...photos, { id: 'e', lat: 36.5002, lng: -121.9, timestamp: at(2) }];
+  assert.deepEqual(ids(clusterPhotos(three, { minPhotos: 3 })), ['aeb', 'c', 'd']);
+  assert.deepEqual(ids(clusterPhotos(photos, { minPhotos: 3 })), ['a', 'b', 'c', 'd']);
+});
+
+test('groupPhotosByLocation returns centered groups with counts', () => {
+  const groups = groupPhotosByLocation(photos);
+
+  assert.equal(groups.length, 3);
+  assert.equal(groups[0].count, 2);
+  assert.ok(Math.abs(groups[0].lat - 36.5005) < 1e-9);
+  assert.equal(groups[0].lng, -121.9);
+  assert.deepEqual(groups[0].photos.map(photo => photo.id), ['a', 'b']);
+});
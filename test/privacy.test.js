@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+import { parseGPX, readGPXTracks } from '../src/utils/gpx.js';
+import { loadPrivacyZones, parsePrivacyZones, protectPosition, trimGpx, trimTrackPoints } from '../src/utils/privacy.js';
+import { makeTempDir, readFixture } from './helpers.js';
+
+// climb-and-stop.gpx starts at 36.500 and ends parked at 36.520, ~0.069 mi per 0.001°
+const start = { name: 'home', lat: 36.5, lng: -121.9, radiusMiles: 0.15, action: 'hide' };
+const end = { name: 'friend', lat: 36.52, lng: -121.9, radiusMiles: 0.1, action: 'fuzz' };
+
+test('parsePrivacyZones checks zones and defaults to hiding', () => {
+  assert.equal(parsePrivacyZones([{ lat: 1, lng: 2, radiusMiles: 0.5 }])[0].action, 'hide');
+  assert.throws(() => parsePrivacyZones([{ lat: 1, lng: 2 }]), /radiusMiles must be a number/);
+  assert.throws(() => parsePrivacyZones([{ ...start, action: 'blur' }]), /home: action must be one of hide, fuzz/);
+  assert.throws(() => parsePrivacyZones({ zones: [] }), /must be an array/);
+});
+
+test('loadPrivacyZones reads a zones file and fails when a named one is missing', async (t) => {
+  const dir = await makeTempDir(t);
+  const file = path.join(dir, 'privacy-zones.json');
+  assert.throws(() => loadPrivacyZones(file), /privacy-zones\.json not found/);
+
+  await fs.writeFile(file, JSON.stringify([start]));
+  assert.deepEqual(loadPrivacyZones(file), [start]);
+
+  // PRIVACY_ZONES_FILE names the file like the argument does
+  const previous = process.env.PRIVACY_ZONES_FILE;
+  t.after(() => {
+    if (previous === undefined) delete process.env.PRIVACY_ZONES_FILE;
+    else process.env.PRIVACY_ZONES_FILE = previous;
+  });
+  process.env.PRIVACY_ZONES_FILE = file;
+  assert.deepEqual(loadPrivacyZones(), [start]);
+  process.env.PRIVACY_ZONES_FILE = path.join(dir, 'missing.json');
+  assert.throws(() => loadPrivacyZones(), /missing\.json not found/);
+
+  // Without a name, a missing privacy-zones.json means no zones (the test runs
+  // in the project root, where the file is git-ignored)
+  delete process.env.PRIVACY_ZONES_FILE;
+  const hasDefault = await fs.stat('privacy-zones.json').then(() => true, () => false);
+  if (!hasDefault) assert.deepEqual(loadPrivacyZones(), []);
+});
+
+test('protectPosition hides or fuzzes positions inside a zone', () => {
+  assert.equal(protectPosition(36.6, -121.9, [start, end]), undefined);
+  assert.deepEqual(protectPosition(36.501, -121.9, [start, end]), { zone: start, lat: null, lng: null });
+
+  const fuzzed = protectPosition(36.5201, -121.9001, [start, end]);
+  assert.equal(fuzzed.zone, end);
+  assert.notEqual(fuzzed.lat, 36.5201);
+
+  // Every position in a grid cell maps to the same point, and fuzzing is stable
+  const near = protectPosition(36.5199, -121.8999, [start, end]);
+  assert.deepEqual([near.lat, near.lng], [fuzzed.lat, fuzzed.lng]);
+  const again = protectPosition(fuzzed.lat, fuzzed.lng, [{ ...end, radiusMiles: 10 }]);
+  assert.ok(Math.abs(again.lat - fuzzed.lat) < 1e-9 && Math.abs(again.lng - fuzzed.lng) < 1e-9);
+});
+
+test('trimGpx drops track points at the start and end inside zones', async () => {
+  const gpxText = await readFixture('climb-and-stop.gpx');
+  const options = { DOMParser, XMLSerializer };
+
+  assert.equal(trimGpx(gpxText, [], options), gpxText);
+  assert.equal(trimGpx(gpxText, [{ ...start, lat: 40 }], options), gpxText);
+
+  const { trackPoints } = parseGPX(trimGpx(gpxText, [start, end], options), { DOMParser });
+  // 36.500-36.502 are within 0.15 mi of the start; the end zone covers
+  // 36.519-36.520, including the parked points
+  assert.equal(trackPoints[0].lat, 36.503);
+  assert.equal(trackPoints[trackPoints.length - 1].lat, 36.518);
+  assert.equal(trackPoints.length, 16);
+});
+
+test('trimGpx keeps points in a zone the ride passes through mid-route', async () => {
+  const gpxText = await readFixture('climb-and-stop.gpx');
+  const middle = { lat: 36.51, lng: -121.9, radiusMiles: 0.1 };
+
+  const { trackPoints } = parseGPX(trimGpx(gpxText, [middle], { DOMParser, XMLSerializer }), { DOMParser });
+  assert.equal(trackPoints.length, 28);
+});
+
+test('trimGpx trims every track and segment like trimTrackPoints', () => {
+  // Two riders leave from home; the first stops there for lunch between two
+  // segments. Only the point of each segment away from home (36.500) is kept.
+  const points = lats => lats.map(lat => `<trkpt lat="${lat}" lon="-121.9"/>`).join('');
+  const gpxText = `<gpx xmlns="http://www.topografix.com/GPX/1/1">
+    <trk><name>Alex</name>
+      <trkseg>${points(['36.520', '36.501', '36.500'])}</trkseg>
+      <trkseg>${points(['36.500', '36.501', '36.520'])}</trkseg>
+    </trk>
+    <trk><name>Sam</name><trkseg>${points(['36.500', '36.530'])}</trkseg></trk>
+  </gpx>`;
+  const zones = [{ ...start, radiusMiles: 0.1 }];
+
+  const published = readGPXTracks(trimGpx(gpxText, zones, { DOMParser, XMLSerializer }), { DOMParser });
+  const routed = readGPXTracks(gpxText, { DOMParser })
+    .map(({ name, trackPoints }) => ({ name, trackPoints: trimTrackPoints(trackPoints, zones) }));
+
+  const lats = tracks => tracks.map(({ name, trackPoints }) => [name, trackPoints.map(point => point.lat)]);
+  assert.deepEqual(lats(published), [['Alex', [36.52, 36.52]], ['Sam', [36.53]]]);
+  assert.deepEqual(lats(routed), lats(published));
+});
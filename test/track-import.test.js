@@ -0,0 +1,152 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from '@xmldom/xmldom';
+import { parseGPX } from '../src/utils/gpx.js';
+import { parseTrackFile, readTrackFile } from '../src/utils/track-import.js';
+import { trimTrackPoints } from '../src/utils/privacy.js';
+import { createFit, readFixture } from './helpers.js';
+
+// The same three-point ride in each format: north in 0.001° steps every 20 s
+// at 100, 105 and 110 m, the last point after a pause in a new segment
+const RIDE = [
+  { lat: 36.5, lng: -121.9, altitude: 100, time: '2025-09-09T16:00:00.000Z', heartRate: 120, cadence: 80, power: 150, temperature: 18 },
+  { lat: 36.501, lng: -121.9, altitude: 105, time: '2025-09-09T16:00:20.000Z', heartRate: 130, cadence: 90, power: 250, temperature: 19 },
+  { lat: 36.502, lng: -121.9, altitude: 110, time: '2025-09-09T16:10:00.000Z', heartRate: 140, cadence: 85, power: 200, temperature: 20, pausedBefore: true }
+];
+
+const TCX = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+  <Activities>
+    <Activity Sport="Biking">
+      <Id>2025-09-09T16:00:00Z</Id>
+      <Lap StartTime="2025-09-09T16:00:00Z">
+        <Track>
+          <Trackpoint><Time>2025-09-09T15:59:50Z</Time><HeartRateBpm><Value>110</Value></HeartRateBpm></Trackpoint>
+${RIDE.map((point, index) => `${index === 2 ? '        </Track>\n        <Track>\n' : ''}          <Trackpoint>
+            <Time>${point.time}</Time>
+            <Position><LatitudeDegrees>${point.lat}</LatitudeDegrees><LongitudeDegrees>${point.lng}</LongitudeDegrees></Position>
+            <AltitudeMeters>${point.altitude}</AltitudeMeters>
+            <HeartRateBpm><Value>${point.heartRate}</Value></HeartRateBpm>
+            <Cadence>${point.cadence}</Cadence>
+            <Extensions><ns3:TPX><ns3:Watts>${point.power}</ns3:Watts></ns3:TPX></Extensions>
+          </Trackpoint>`).join('\n')}
+        </Track>
+      </Lap>
+      <Creator><Name>Edge 530</Name></Creator>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>`;
+
+const GEOJSON = JSON.stringify({
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', properties: { name: 'Start' }, geometry: { type: 'Point', coordinates: [-121.9, 36.5] } },
+    {
+      type: 'Feature',
+      properties: {
+        name: 'Morning Ride',
+        coordinateProperties: {
+          times: [RIDE.slice(0, 2).map(point => point.time), [RIDE[2].time]],
+          heart: [RIDE.slice(0, 2).map(point => point.heartRate), [RIDE[2].heartRate]]
+        }
+      },
+      geometry: {
+        type: 'MultiLineString',
+        coordinates: [
+          RIDE.slice(0, 2).map(point => [point.lng, point.lat, point.altitude]),
+          [[RIDE[2].lng, RIDE[2].lat, RIDE[2].altitude]]
+        ]
+      }
+    }
+  ]
+});
+
+const read = (fileName, text) => readTrackFile(fileName, Buffer.from(text), { DOMParser });
+
+function assertRide(trackPoints, sensors) {
+  assert.equal(trackPoints.length, 3);
+  trackPoints.forEach((point, index) => {
+    assert.ok(Math.abs(point.lat - RIDE[index].lat) < 1e-6);
+    assert.ok(Math.abs(point.lng - RIDE[index].lng) < 1e-6);
+    assert.ok(Math.abs(point.elevation - RIDE[index].altitude) < 0.2);
+    assert.equal(new Date(point.time).toISOString(), RIDE[index].time);
+    for (const sensor of sensors) assert.equal(point[sensor], RIDE[index][sensor]);
+  });
+  assert.deepEqual(trackPoints.map(point => point.segment), [0, 0, 1]);
+}
+
+test('readTrackFile reads TCX activities, skipping points without a position', () => {
+  const [track] = read('rides/morning.tcx', TCX);
+
+  // Activities have no name of their own; the <Creator>'s is not the track's
+  assert.equal(track.name, 'morning');
+  assertRide(track.trackPoints, ['heartRate', 'cadence', 'power']);
+});
+
+test('readTrackFile reads GeoJSON lines with togeojson coordinate properties', () => {
+  const tracks = read('ride.geojson', GEOJSON);
+
+  assert.deepEqual(tracks.map(track => track.name), ['Morning Ride']);
+  assertRide(tracks[0].trackPoints, ['heartRate']);
+
+  const [line] = read('line.json', JSON.stringify({ type: 'LineString', coordinates: [[-121.9, 36.5], [-121.9, 36.501]] }));
+  assert.equal(line.name, 'line');
+  assert.deepEqual(line.trackPoints[1], { lat: 36.501, lng: -121.9, elevation: null, time: null, segment: 0 });
+});
+
+test('readTrackFile decodes FIT records, sensors and timer pauses', () => {
+  const tracks = readTrackFile('ride.FIT', createFit(RIDE));
+
+  assert.equal(tracks.length, 1);
+  assert.equal(tracks[0].name, 'ride');
+  assertRide(tracks[0].trackPoints, ['heartRate', 'cadence', 'power', 'temperature']);
+
+  // Invalid readings are left out
+  const [bare] = readTrackFile('bare.fit', createFit([{ lat: 36.5, lng: -121.9, time: RIDE[0].time }]));
+  assert.deepEqual(Object.keys(bare.trackPoints[0]), ['lat', 'lng', 'elevation', 'time', 'segment']);
+  assert.equal(bare.trackPoints[0].elevation, null);
+
+  assert.throws(() => readTrackFile('ride.fit', Buffer.from('not a fit file')), /Not a FIT file/);
+  assert.throws(() => readTrackFile('ride.kml', Buffer.from('')), /Unsupported track format/);
+});
+
+test('parseTrackFile gives every format the GPX statistics', async () => {
+  const fromGpx = parseGPX(await readFixture('climb-and-stop.gpx'), { DOMParser });
+  const [fromFile] = parseTrackFile('climb-and-stop.gpx', Buffer.from(await readFixture('climb-and-stop.gpx')), { DOMParser });
+  assert.deepEqual(fromFile.statistics, fromGpx.statistics);
+  assert.deepEqual(fromGpx.statistics.sensors, {});
+
+  const [ride] = parseTrackFile('ride.fit', createFit(RIDE));
+  const [tcx] = parseTrackFile('ride.tcx', Buffer.from(TCX), { DOMParser });
+  // The pause isn't ridden: two 0.001° steps would be ~0.138 mi
+  assert.ok(Math.abs(ride.statistics.totalDistance - tcx.statistics.totalDistance) < 1e-4);
+  assert.ok(ride.statistics.totalDistance < 0.1);
+  assert.deepEqual(ride.statistics.sensors, {
+    heartRate: { min: 120, average: 130, max: 140 },
+    cadence: { min: 80, average: 85, max: 90 },
+    power: { min: 150, average: 200, max: 250 },
+    temperature: { min: 18, average: 19, max: 20 }
+  });
+});
+
+test('GPX track points carry sensor readings from their extensions', () => {
+  const gpx = `<gpx xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+    <trk><trkseg>
+      <trkpt lat="36.5" lon="-121.9"><extensions><power>210</power><gpxtpx:TrackPointExtension><gpxtpx:atemp>21.5</gpxtpx:atemp><gpxtpx:hr>150</gpxtpx:hr><gpxtpx:cad>88</gpxtpx:cad></gpxtpx:TrackPointExtension></extensions></trkpt>
+    </trkseg></trk>
+  </gpx>`;
+
+  const [point] = parseGPX(gpx, { DOMParser }).trackPoints;
+  assert.deepEqual(
+    [point.heartRate, point.cadence, point.power, point.temperature],
+    [150, 88, 210, 21.5]
+  );
+});
+
+test('trimTrackPoints drops the ends of any format inside a zone', () => {
+  const [{ trackPoints }] = readTrackFile('ride.fit', createFit(RIDE));
+  const zone = { lat: 36.5, lng: -121.9, radiusMiles: 0.05, action: 'hide' };
+
+  assert.equal(trimTrackPoints(trackPoints, []), trackPoints);
+  assert.deepEqual(trimTrackPoints(trackPoints, [zone]).map(point => point.lat.toFixed(3)), ['36.501', '36.502']);
+});
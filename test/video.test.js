@@ -0,0 +1,184 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseISO6709, readVideoMetadata } from '../src/utils/video.js';
+import { makeTempDir } from './helpers.js';
+
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+// An atom: 32-bit size, four-character type (© is latin1 0xA9), then payload
+function atom(type, ...payload) {
+  const header = Buffer.alloc(8);
+  const body = Buffer.concat(payload);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+// The same atom with a 64-bit size
+function largeAtom(type, ...payload) {
+  const header = Buffer.alloc(16);
+  const body = Buffer.concat(payload);
+  header.writeUInt32BE(1, 0);
+  header.write(type, 4, 'latin1');
+  header.writeBigUInt64BE(BigInt(16 + body.length), 8);
+  return Buffer.concat([header, body]);
+}
+
+const uint32 = value => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+
+const uint64 = value => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(value));
+  return buffer;
+};
+
+// Movie header with a creation time (ISO string, or null for zero) and a
+// duration of `seconds` at a 600 timescale; version 1 has 64-bit times. The
+// rate, volume, matrix and next track id are left at zero.
+function mvhd({ creationTime = null, seconds = 0, version = 0 } = {}) {
+  const creation = creationTime ? Date.parse(creationTime) / 1000 + QUICKTIME_EPOCH_OFFSET : 0;
+  const time = version === 1 ? uint64 : uint32;
+  return atom('mvhd',
+    Buffer.from([version, 0, 0, 0]),
+    time(creation),
+    time(creation),
+    uint32(600),
+    time(seconds * 600),
+    Buffer.alloc(80));
+}
+
+// QuickTime user data text: 16-bit length, 16-bit language, text
+function userDataText(type, text) {
+  const length = Buffer.alloc(4);
+  length.writeUInt16BE(Buffer.byteLength(text));
+  return atom(type, length, Buffer.from(text));
+}
+
+// iPhone-style metadata: a handler, the key names and an ilst item per key
+// (typed by its 1-based index) holding a UTF-8 'data' atom. `fullBox` adds the
+// version/flags ISO 'meta' boxes have.
+function metadataKeys(values, { fullBox = false } = {}) {
+  const names = Object.keys(values);
+  return atom('meta',
+    fullBox ? Buffer.alloc(4) : Buffer.alloc(0),
+    atom('hdlr', Buffer.alloc(8), Buffer.from('mdta'), Buffer.alloc(12)),
+    atom('keys', Buffer.alloc(4), uint32(names.length),
+      ...names.map(name => atom('mdta', Buffer.from(name)))),
+    atom('ilst', ...names.map((name, index) => {
+      const item = atom('data', uint32(1), Buffer.alloc(4), Buffer.from(values[name]));
+      return Buffer.concat([uint32(8 + item.length), uint32(index + 1), item]);
+    })));
+}
+
+async function writeMovie(t, fileName, ...atoms) {
+  const filePath = path.join(await makeTempDir(t), fileName);
+  await fs.writeFile(filePath, Buffer.concat(atoms));
+  return filePath;
+}
+
+const ftyp = atom('ftyp', Buffer.from('qt  '), uint32(0), Buffer.from('qt  '));
+const mdat = atom('mdat', Buffer.alloc(64, 0xEE));
+
+test('parseISO6709 reads latitude, longitude and an optional altitude', () => {
+  assert.deepEqual(parseISO6709('+37.7749-122.4194+010.000/'), { lat: 37.7749, lng: -122.4194, altitude: 10 });
+  assert.deepEqual(parseISO6709(' -33.8568+151.2153/ '), { lat: -33.8568, lng: 151.2153, altitude: null });
+  assert.equal(parseISO6709('+91.0000+010.0000/'), null);
+  assert.equal(parseISO6709('somewhere'), null);
+});
+
+test('readVideoMetadata reads the movie header and QuickTime user data', async t => {
+  const filePath = await writeMovie(t, 'clip.mov', ftyp, mdat, atom('moov',
+    mvhd({ creationTime: '2025-09-09T16:00:00.000Z', seconds: 12.5 }),
+    atom('trak', atom('tkhd', Buffer.alloc(84))),
+    atom('udta', userDataText('©xyz', '+36.5000-121.9000+005.000/'))));
+
+  // The moov atom comes after the media data, as cameras write it
+  assert.deepEqual(await readVideoMetadata(filePath), {
+    creationTime: new Date('2025-09-09T16:00:00.000Z'),
+    location: { lat: 36.5, lng: -121.9, altitude: 5 },
+    duration: 12.5
+  });
+});
+
+test('readVideoMetadata prefers the dated creation time over the movie header', async t => {
+  const withDay = await writeMovie(t, 'clip.mp4', atom('moov',
+    mvhd({ creationTime: '2025-09-09T16:00:00.000Z', seconds: 3 }),
+    atom('udta', userDataText('©day', '2025-09-09T08:59:30-0700'))));
+  assert.equal((await readVideoMetadata(withDay)).creationTime.toISOString(), '2025-09-09T15:59:30.000Z');
+
+  // Keys (as iPhones write them) win over user data
+  const withKeys = await writeMovie(t, 'iphone.mov', ftyp, atom('moov',
+    mvhd({ creationTime: '2025-09-09T16:00:00.000Z', seconds: 3 }),
+    atom('udta', userDataText('©xyz', '+10.0000+010.0000/')),
+    metadataKeys({
+      'com.apple.quicktime.location.ISO6709': '+36.5012-121.9034+012.345/',
+      'com.apple.quicktime.creationdate': '2025-09-09T09:00:15-0700'
+    })), mdat);
+  assert.deepEqual(await readVideoMetadata(withKeys), {
+    creationTime: new Date('2025-09-09T16:00:15.000Z'),
+    location: { lat: 36.5012, lng: -121.9034, altitude: 12.345 },
+    duration: 3
+  });
+
+  // A date that doesn't parse falls back to the movie header
+  const badDay = await writeMovie(t, 'bad.mov', atom('moov',
+    mvhd({ creationTime: '2025-09-09T16:00:00.000Z' }),
+    atom('udta', userDataText('©day', 'yesterday'))));
+  assert.equal((await readVideoMetadata(badDay)).creationTime.toISOString(), '2025-09-09T16:00:00.000Z');
+});
+
+test('readVideoMetadata reads ISO meta boxes and 64-bit sizes and times', async t => {
+  const filePath = await writeMovie(t, 'long.mp4', ftyp, largeAtom('moov',
+    mvhd({ creationTime: '2040-01-01T00:00:00.000Z', seconds: 90, version: 1 })));
+  assert.deepEqual(await readVideoMetadata(filePath), {
+    creationTime: new Date('2040-01-01T00:00:00.000Z'),
+    location: null,
+    duration: 90
+  });
+
+  const isoMeta = await writeMovie(t, 'iso.mp4', atom('moov',
+    mvhd({ seconds: 1 }),
+    metadataKeys({ 'com.apple.quicktime.location.ISO6709': '-33.8568+151.2153/' }, { fullBox: true })));
+  assert.deepEqual((await readVideoMetadata(isoMeta)).location, { lat: -33.8568, lng: 151.2153, altitude: null });
+});
+
+test('readVideoMetadata leaves out what a file does not carry', async t => {
+  // A zero creation time is a camera without a clock, not 1904
+  const bare = await writeMovie(t, 'bare.mov', atom('moov', mvhd({ seconds: 2 })));
+  assert.deepEqual(await readVideoMetadata(bare), { creationTime: null, location: null, duration: 2 });
+
+  const noMoov = await writeMovie(t, 'clip.avi', Buffer.from('RIFF'), Buffer.alloc(60));
+  assert.deepEqual(await readVideoMetadata(noMoov), { creationTime: null, location: null, duration: null });
+
+  // A truncated atom stops the search
+  const truncated = await writeMovie(t, 'cut.mp4', ftyp, uint32(4096), Buffer.from('mdat'), Buffer.alloc(16));
+  assert.deepEqual(await readVideoMetadata(truncated), { creationTime: null, location: null, duration: null });
+});
+
+test('readVideoMetadata does not trust the size of a moov atom', async t => {
+  const empty = { creationTime: null, location: null, duration: null };
+
+  // The file ends inside the moov atom
+  const moov = atom('moov', mvhd({ creationTime: '2025-09-09T16:00:00.000Z', seconds: 3 }));
+  const cut = await writeMovie(t, 'cut.mov', ftyp, moov.subarray(0, moov.length - 20));
+  assert.deepEqual(await readVideoMetadata(cut), empty);
+
+  // A 64-bit size far past the end of the file
+  const huge = Buffer.alloc(16);
+  huge.writeUInt32BE(1, 0);
+  huge.write('moov', 4, 'latin1');
+  huge.writeBigUInt64BE(2n ** 40n, 8);
+  const oversized = await writeMovie(t, 'huge.mp4', ftyp, huge, mvhd({ seconds: 3 }));
+  assert.deepEqual(await readVideoMetadata(oversized), empty);
+
+  // A moov atom that is really there but too large to be a real one (sparse file)
+  const sparse = await writeMovie(t, 'sparse.mov', uint32(100 * 1024 * 1024), Buffer.from('moov'));
+  await fs.truncate(sparse, 100 * 1024 * 1024);
+  await assert.rejects(readVideoMetadata(sparse), /moov atom of 104857600 bytes is larger than/);
+});